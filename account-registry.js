@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import TelegramClient from './telegram-client.js';
+import MessageSyncService from './message-sync-service.js';
+
+export const DEFAULT_ACCOUNT = 'default';
+
+const ACCOUNT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+function buildAccountConfig({ name, phoneNumber, apiId, apiHash }) {
+  const accountName = String(name ?? '').trim();
+  if (!ACCOUNT_NAME_PATTERN.test(accountName)) {
+    throw new Error(`Invalid account name "${accountName}" (use letters, digits, "-" or "_")`);
+  }
+  return { name: accountName, phoneNumber, apiId, apiHash };
+}
+
+// TELEGRAM_ACCOUNTS entries look like name or name:+15551234567, separated by commas.
+function parseAccountList(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, phoneNumber] = entry.split(':');
+      return buildAccountConfig({ name, phoneNumber });
+    });
+}
+
+function loadAccountFile(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  const resolved = path.resolve(filePath);
+  const parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed.accounts;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Account file ${resolved} must contain an array of accounts`);
+  }
+  return entries.map(buildAccountConfig);
+}
+
+// Each account gets its own Telegram session, sync service and SQLite archive. The "default"
+// account keeps the original ./data layout; other accounts live under ./data/accounts/<name>.
+// With archiveOnly, no Telegram clients are created and only the local archives are opened.
+export default class AccountRegistry {
+  constructor(options = {}) {
+    const dataDir = options.dataDir ?? './data';
+    const configs = [...parseAccountList(options.accounts), ...loadAccountFile(options.accountsFile)];
+    if (!configs.length) {
+      configs.push({ name: DEFAULT_ACCOUNT });
+    }
+
+    this.accounts = new Map();
+    for (const config of configs) {
+      if (this.accounts.has(config.name)) {
+        throw new Error(`Duplicate account name "${config.name}"`);
+      }
+
+      const accountDir = config.name === DEFAULT_ACCOUNT ? dataDir : path.join(dataDir, 'accounts', config.name);
+      const client = options.archiveOnly ? null : new TelegramClient(
+        config.apiId ?? options.apiId,
+        config.apiHash ?? options.apiHash,
+        config.phoneNumber ?? (config.name === DEFAULT_ACCOUNT ? options.phoneNumber : undefined),
+        path.join(accountDir, 'session.json'),
+        { interactiveLogin: options.interactiveLogin },
+      );
+      const syncService = new MessageSyncService(client, {
+        ...options.syncOptions,
+        dbPath: path.join(accountDir, 'messages.db'),
+      });
+
+      this.accounts.set(config.name, { name: config.name, client, syncService, ready: false });
+    }
+
+    this.defaultName = options.defaultAccount || configs[0].name;
+    if (!this.accounts.has(this.defaultName)) {
+      throw new Error(`Default account "${this.defaultName}" is not configured`);
+    }
+  }
+
+  list() {
+    return Array.from(this.accounts.values());
+  }
+
+  get(name) {
+    const accountName = name ?? this.defaultName;
+    const account = this.accounts.get(accountName);
+    if (!account) {
+      throw new Error(`Unknown account "${accountName}" (configured: ${Array.from(this.accounts.keys()).join(', ')})`);
+    }
+    return account;
+  }
+
+  async describe() {
+    return Promise.all(this.list().map(async (account) => {
+      let login;
+      try {
+        login = await account.client.getLoginStatus();
+      } catch (error) {
+        login = { authorized: false, step: 'unknown', error: error?.message ?? String(error) };
+      }
+      return {
+        name: account.name,
+        default: account.name === this.defaultName,
+        ready: account.ready,
+        sessionPath: account.client.sessionPath,
+        dbPath: account.syncService.dbPath,
+        login,
+      };
+    }));
+  }
+}
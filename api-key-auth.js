@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, timingSafeEqual } from 'crypto';
+
+export const SCOPES = ['read', 'write', 'sync', 'login'];
+
+// Tools not listed here only need the read scope.
+const TOOL_SCOPES = {
+  startLogin: 'login',
+  submitLoginCode: 'login',
+  submitLoginPassword: 'login',
+  startQrLogin: 'login',
+  sendMessage: 'write',
+  replyToMessage: 'write',
+  forwardMessages: 'write',
+  editOwnMessage: 'write',
+  downloadMedia: 'sync',
+  scheduleMessageSync: 'sync',
+  setMessageSyncSchedule: 'sync',
+  pauseMessageSyncSchedule: 'sync',
+  resumeMessageSyncSchedule: 'sync',
+  cancelMessageSyncJob: 'sync',
+  pauseMessageSyncJob: 'sync',
+  resumeMessageSyncJob: 'sync',
+  deleteMessageSyncJob: 'sync',
+  purgeSyncedMessages: 'sync',
+  exportSyncedMessages: 'sync',
+  importTelegramExport: 'sync',
+  addWatchRule: 'sync',
+  deleteWatchRule: 'sync',
+};
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+function normalizeScopes(scopes, keyName) {
+  const list = (Array.isArray(scopes) ? scopes : String(scopes ?? '').split(/[|\s]+/))
+    .map((scope) => String(scope).trim().toLowerCase())
+    .filter(Boolean);
+  if (!list.length || list.includes('*')) {
+    return [...SCOPES];
+  }
+  for (const scope of list) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope "${scope}" for API key "${keyName}" (expected ${SCOPES.join(', ')} or *)`);
+    }
+  }
+  return Array.from(new Set(list));
+}
+
+function buildKey({ name, token, tokenSha256, scopes }) {
+  if (!name) {
+    throw new Error('Every API key needs a name');
+  }
+  if (!token && !tokenSha256) {
+    throw new Error(`API key "${name}" has no token`);
+  }
+  const digest = token ? sha256(String(token)) : Buffer.from(String(tokenSha256), 'hex');
+  if (digest.length !== 32) {
+    throw new Error(`API key "${name}" has an invalid tokenSha256`);
+  }
+  return { name: String(name), digest, scopes: normalizeScopes(scopes, name) };
+}
+
+// MCP_API_KEYS entries look like name:token or name:token:read|sync, separated by commas.
+function parseKeyList(value) {
+  if (!value) {
+    return [];
+  }
+  return String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, token, scopes] = entry.split(':');
+      return buildKey({ name, token, scopes });
+    });
+}
+
+function loadKeyFile(filePath) {
+  if (!filePath) {
+    return [];
+  }
+  const resolved = path.resolve(filePath);
+  const parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed.keys;
+  if (!Array.isArray(entries)) {
+    throw new Error(`API key file ${resolved} must contain an array of keys`);
+  }
+  return entries.map(buildKey);
+}
+
+export default class ApiKeyAuth {
+  constructor(options = {}) {
+    this.keys = [...parseKeyList(options.keys), ...loadKeyFile(options.keysFile)];
+
+    const names = new Set();
+    for (const key of this.keys) {
+      if (names.has(key.name)) {
+        throw new Error(`Duplicate API key name "${key.name}"`);
+      }
+      names.add(key.name);
+    }
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  authenticate(authorizationHeader) {
+    const match = /^Bearer\s+(.+)$/i.exec(authorizationHeader ?? '');
+    if (!match) {
+      return null;
+    }
+    const token = match[1].trim();
+    const digest = sha256(token);
+    const key = this.keys.find((candidate) => timingSafeEqual(candidate.digest, digest));
+    if (!key) {
+      return null;
+    }
+    return { token, clientId: key.name, scopes: [...key.scopes] };
+  }
+
+  requiredScope(toolName) {
+    return TOOL_SCOPES[toolName] ?? 'read';
+  }
+}
@@ -0,0 +1,101 @@
+import dotenv from 'dotenv';
+import AccountRegistry from './account-registry.js';
+import { EXPORT_FORMATS } from './archive-export.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  node archive-cli.js export <channelId> [options]
+  node archive-cli.js import <result.json> [--chat <chatId>] [--account <name>]
+
+Options:
+  --format <format>   ${Object.keys(EXPORT_FORMATS).join(', ')} (default: jsonl)
+  --since <date>      only messages on or after this ISO date
+  --until <date>      only messages on or before this ISO date
+  --output <file>     output file (default: data/exports/export-<channel>-<timestamp>.<ext>)
+  --chat <chatId>     import only this chat from a full-account export
+  --account <name>    account whose archive to use (default: the default account)`;
+
+const VALUE_OPTIONS = new Set(['format', 'since', 'until', 'output', 'chat', 'account']);
+
+// Telegram chat IDs are often negative, so anything that is not a known --option is positional.
+function parseCommandLine(argv) {
+  const values = {};
+  const positionals = [];
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg === '-h' || arg === '--help') {
+      values.help = true;
+      continue;
+    }
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(arg);
+    if (!match || !VALUE_OPTIONS.has(match[1])) {
+      if (arg.startsWith('--')) {
+        throw new Error(`Unknown option ${arg}`);
+      }
+      positionals.push(arg);
+      continue;
+    }
+    const value = match[2] ?? argv[++index];
+    if (value === undefined) {
+      throw new Error(`Option --${match[1]} needs a value`);
+    }
+    values[match[1]] = value;
+  }
+  return { values, positionals };
+}
+
+async function runExport(account, [channelId], values) {
+  const result = await account.syncService.exportMessages(channelId, {
+    format: values.format,
+    since: values.since,
+    until: values.until,
+    outputPath: values.output,
+  });
+  console.log(`Exported ${result.messageCount} messages of ${result.peerTitle ?? result.channelId} to ${result.path}`);
+}
+
+async function runImport(account, [filePath], values) {
+  const result = await account.syncService.importDesktopExport(filePath, { chatId: values.chat });
+  for (const chat of result.chats) {
+    console.log(`Imported ${chat.importedMessages} messages into ${chat.peerTitle ?? chat.channelId} (${chat.alreadyArchived} already archived, ${chat.skippedServiceMessages} service messages skipped)`);
+  }
+  console.log('The server syncs newer messages of the imported chats when it starts next.');
+}
+
+const COMMANDS = {
+  export: { run: runExport, arguments: 1 },
+  import: { run: runImport, arguments: 1 },
+};
+
+async function main() {
+  const { values, positionals } = parseCommandLine(process.argv.slice(2));
+  const [commandName, ...args] = positionals;
+  const command = COMMANDS[commandName];
+  if (values.help || !command || args.length !== command.arguments) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const accountRegistry = new AccountRegistry({
+    accounts: process.env.TELEGRAM_ACCOUNTS,
+    accountsFile: process.env.TELEGRAM_ACCOUNTS_FILE,
+    defaultAccount: process.env.TELEGRAM_DEFAULT_ACCOUNT,
+    dataDir: './data',
+    archiveOnly: true,
+  });
+
+  try {
+    await command.run(accountRegistry.get(values.account), args, values);
+  } finally {
+    for (const account of accountRegistry.list()) {
+      await account.syncService.shutdown();
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error?.message ?? error}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+
+// Export format name -> file extension.
+export const EXPORT_FORMATS = {
+  jsonl: 'jsonl',
+  csv: 'csv',
+  markdown: 'md',
+  'telegram-json': 'json',
+};
+
+const MISSING_FILE = '(File not included. Change data exporting settings to download.)';
+
+const CSV_COLUMNS = [
+  'message_id',
+  'date',
+  'edit_date',
+  'from_id',
+  'from_name',
+  'text',
+  'reply_to_message_id',
+  'topic_id',
+  'forwarded_from',
+  'deleted_at',
+  'media_type',
+  'media_file_name',
+  'media_path',
+];
+
+function isoDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+function senderLabel(message) {
+  return message.fromName ?? (message.fromId ? `id ${message.fromId}` : 'Unknown sender');
+}
+
+function describeMediaLine(media) {
+  const details = [media.fileName, media.mimeType].filter(Boolean).join(', ');
+  const label = details ? `${media.type} (${details})` : media.type;
+  return media.localPath ? `[${label}](${media.localPath})` : label;
+}
+
+// Telegram Desktop writes local time without a zone; date_unixtime carries the exact instant.
+function desktopDate(seconds) {
+  const date = new Date(seconds * 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function desktopPeerId(id) {
+  const value = String(id ?? '');
+  if (value.startsWith('-100')) {
+    return { kind: 'channel', id: value.slice(4) };
+  }
+  if (value.startsWith('-')) {
+    return { kind: 'chat', id: value.slice(1) };
+  }
+  return { kind: 'user', id: value };
+}
+
+function desktopChatType(dialog) {
+  if (dialog.peerType === 'user') {
+    return 'personal_chat';
+  }
+  if (dialog.peerType === 'chat') {
+    return 'private_group';
+  }
+  return /^-?\d+$/.test(String(dialog.channelId)) ? 'private_channel' : 'public_channel';
+}
+
+function desktopMedia(media) {
+  const file = media.localPath ?? MISSING_FILE;
+  if (media.type === 'photo') {
+    return { photo: file, width: media.width ?? undefined, height: media.height ?? undefined };
+  }
+
+  const mediaTypes = {
+    video: 'video_file',
+    voice: 'voice_message',
+    audio: 'audio_file',
+    sticker: 'sticker',
+  };
+  return {
+    file,
+    file_name: media.fileName ?? undefined,
+    media_type: mediaTypes[media.type],
+    mime_type: media.mimeType ?? undefined,
+    duration_seconds: media.duration ?? undefined,
+    width: media.width ?? undefined,
+    height: media.height ?? undefined,
+  };
+}
+
+function desktopMessage(message) {
+  const sender = message.fromId ? desktopPeerId(message.fromId) : null;
+  return {
+    id: message.id,
+    type: 'message',
+    date: desktopDate(message.date),
+    date_unixtime: String(message.date),
+    edited: message.editDate ? desktopDate(message.editDate) : undefined,
+    edited_unixtime: message.editDate ? String(message.editDate) : undefined,
+    from: sender ? message.fromName ?? null : undefined,
+    from_id: sender ? `${sender.kind}${sender.id}` : undefined,
+    forwarded_from: message.forward ? message.forward.fromName ?? null : undefined,
+    reply_to_message_id: message.replyToMessageId ?? undefined,
+    ...(message.media ? desktopMedia(message.media) : {}),
+    text: message.text,
+    text_entities: message.text ? [{ type: 'plain', text: message.text }] : [],
+  };
+}
+
+function indent(json, spaces) {
+  return json.replace(/\n/g, `\n${' '.repeat(spaces)}`);
+}
+
+function createFormatter(format, dialog) {
+  switch (format) {
+    case 'jsonl':
+      return {
+        header: () => '',
+        message: (message) => `${JSON.stringify({
+          channelId: dialog.channelId,
+          id: message.id,
+          date: isoDate(message.date),
+          editDate: isoDate(message.editDate),
+          fromId: message.fromId,
+          fromName: message.fromName,
+          text: message.text,
+          replyToMessageId: message.replyToMessageId,
+          topicId: message.topicId,
+          forward: message.forward,
+          deletedAt: message.deletedAt,
+          media: message.media,
+        })}\n`,
+        footer: () => '',
+      };
+    case 'csv':
+      return {
+        header: () => csvRow(CSV_COLUMNS),
+        message: (message) => csvRow([
+          message.id,
+          isoDate(message.date),
+          isoDate(message.editDate),
+          message.fromId,
+          message.fromName,
+          message.text,
+          message.replyToMessageId,
+          message.topicId,
+          message.forward?.fromName ?? message.forward?.fromId,
+          message.deletedAt,
+          message.media?.type,
+          message.media?.fileName,
+          message.media?.localPath,
+        ]),
+        footer: () => '',
+      };
+    case 'markdown': {
+      let currentDay = null;
+      return {
+        header: () => {
+          const range = [dialog.since && `from ${dialog.since}`, dialog.until && `until ${dialog.until}`].filter(Boolean).join(' ');
+          return `# ${dialog.title ?? dialog.channelId}\n\n_Channel ${dialog.channelId}, exported ${dialog.exportedAt}${range ? `, ${range}` : ''}. Times are UTC._\n`;
+        },
+        message: (message) => {
+          // Messages imported from Telegram Desktop can lack a date.
+          const timestamp = isoDate(message.date);
+          const day = timestamp ? timestamp.slice(0, 10) : 'Unknown date';
+          const lines = [];
+          if (day !== currentDay) {
+            currentDay = day;
+            lines.push('', `## ${day}`);
+          }
+          const flags = [message.editDate && 'edited', message.deletedAt && 'deleted'].filter(Boolean);
+          const time = timestamp ? ` · ${timestamp.slice(11, 16)}` : '';
+          lines.push('', `**${senderLabel(message)}**${time} · #${message.id}${flags.length ? ` (${flags.join(', ')})` : ''}`);
+          if (message.forward) {
+            lines.push(`> Forwarded from ${message.forward.fromName ?? message.forward.fromId ?? 'unknown'}`);
+          }
+          if (message.replyToMessageId) {
+            lines.push(`> Reply to #${message.replyToMessageId}`);
+          }
+          if (message.text) {
+            lines.push('', message.text);
+          }
+          if (message.media) {
+            lines.push('', `Attachment: ${describeMediaLine(message.media)}`);
+          }
+          return `${lines.join('\n')}\n`;
+        },
+        footer: () => '',
+      };
+    }
+    case 'telegram-json': {
+      let first = true;
+      return {
+        header: () => {
+          const chat = desktopPeerId(dialog.peerId ?? dialog.channelId);
+          const id = /^\d+$/.test(chat.id) ? Number(chat.id) : chat.id;
+          return `{\n "name": ${JSON.stringify(dialog.title ?? null)},\n "type": "${desktopChatType(dialog)}",\n "id": ${JSON.stringify(id)},\n "messages": [`;
+        },
+        message: (message) => {
+          const separator = first ? '\n' : ',\n';
+          first = false;
+          return `${separator}  ${indent(JSON.stringify(desktopMessage(message), null, 1), 2)}`;
+        },
+        footer: () => '\n ]\n}\n',
+      };
+    }
+    default:
+      throw new Error(`Unsupported export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+}
+
+/**
+ * Writes archived messages of one dialog to `filePath` in the given format and resolves to
+ * the number of messages written. `messages` may be any (lazy) iterable, oldest first.
+ */
+export async function writeArchiveExport(filePath, format, dialog, messages) {
+  const formatter = createFormatter(format, dialog);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  const write = async (chunk) => {
+    if (chunk && !stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  let count = 0;
+  try {
+    await write(formatter.header());
+    for (const message of messages) {
+      await write(formatter.message(message));
+      count += 1;
+    }
+    await write(formatter.footer());
+  } finally {
+    stream.end();
+    await once(stream, 'close');
+  }
+  return count;
+}
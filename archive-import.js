@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+
+// Telegram Desktop chat type -> peer type used in the archive.
+const DESKTOP_PEER_TYPES = {
+  personal_chat: 'user',
+  bot_chat: 'user',
+  saved_messages: 'user',
+  private_group: 'chat',
+  private_supergroup: 'channel',
+  public_supergroup: 'channel',
+  private_channel: 'channel',
+  public_channel: 'channel',
+};
+
+const DESKTOP_MEDIA_TYPES = {
+  animation: 'video',
+  video_file: 'video',
+  video_message: 'video',
+  voice_message: 'voice',
+  audio_file: 'audio',
+  sticker: 'sticker',
+};
+
+// Desktop exports use bare IDs; the archive stores marked ones (-100… for channels, -… for basic groups).
+function markPeerId(id, peerType) {
+  const value = String(id);
+  if (value.startsWith('-') || peerType === 'user') {
+    return value;
+  }
+  return peerType === 'channel' ? `-100${value}` : `-${value}`;
+}
+
+// from_id values look like user123, channel123 or chat123.
+function parseFromId(fromId) {
+  const match = /^(user|channel|chat)(\d+)$/.exec(String(fromId ?? ''));
+  if (!match) {
+    return null;
+  }
+  return { id: markPeerId(match[2], match[1]), type: match[1] };
+}
+
+function flattenText(text) {
+  if (Array.isArray(text)) {
+    return text.map((part) => (typeof part === 'string' ? part : part?.text ?? '')).join('');
+  }
+  return typeof text === 'string' ? text : '';
+}
+
+function unixSeconds(value, fallback) {
+  if (value !== undefined && value !== null && value !== '') {
+    return Number(value);
+  }
+  // Without *_unixtime the export only has local time, which is how Desktop wrote it.
+  const parsed = fallback ? Date.parse(fallback) : NaN;
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+function importMedia(message, baseDir) {
+  const file = message.photo ?? message.file;
+  if (!file) {
+    return null;
+  }
+
+  // Files that were not exported are replaced by a "(File not included...)" note.
+  const candidate = typeof file === 'string' && !file.startsWith('(') ? path.resolve(baseDir, file) : null;
+  return {
+    type: message.photo ? 'photo' : DESKTOP_MEDIA_TYPES[message.media_type] ?? 'document',
+    mimeType: message.mime_type ?? (message.photo ? 'image/jpeg' : null),
+    fileName: message.file_name ?? null,
+    fileSize: message.file_size ?? message.photo_file_size ?? null,
+    duration: message.duration_seconds ?? null,
+    width: message.width ?? null,
+    height: message.height ?? null,
+    localPath: candidate && fs.existsSync(candidate) ? candidate : null,
+  };
+}
+
+// Converts a Desktop message to the shape TelegramClient#_serializeMessage produces.
+function importMessage(message, baseDir) {
+  const sender = parseFromId(message.from_id);
+  return {
+    id: Number(message.id),
+    date: unixSeconds(message.date_unixtime, message.date),
+    edit_date: unixSeconds(message.edited_unixtime, message.edited),
+    text: flattenText(message.text),
+    from_id: sender?.id ?? 'unknown',
+    sender: sender ? { ...sender, displayName: message.from ?? null } : null,
+    media: importMedia(message, baseDir),
+    reply_to_message_id: message.reply_to_message_id ?? null,
+    forward: message.forwarded_from !== undefined
+      ? { fromId: null, fromName: message.forwarded_from, fromChatId: null, fromMessageId: null, date: null }
+      : null,
+  };
+}
+
+function importChat(chat, baseDir) {
+  const peerType = DESKTOP_PEER_TYPES[chat.type];
+  if (!peerType) {
+    throw new Error(`Unsupported chat type "${chat.type}" in Telegram Desktop export`);
+  }
+  if (chat.id === undefined || !Array.isArray(chat.messages)) {
+    throw new Error(`Chat "${chat.name ?? chat.id}" in Telegram Desktop export has no id or messages`);
+  }
+
+  // Service messages (joins, pins, calls...) are not archived by the sync either.
+  const messages = chat.messages.filter((message) => message.type === 'message');
+  return {
+    peerId: markPeerId(chat.id, peerType),
+    title: chat.name ?? null,
+    peerType,
+    messages: messages.map((message) => importMessage(message, baseDir)),
+    skipped: chat.messages.length - messages.length,
+  };
+}
+
+/**
+ * Reads a Telegram Desktop JSON export (result.json of a single chat or of a whole account) and
+ * returns its chats with archive-style peer IDs and messages. `chatId` picks one chat by its
+ * Desktop or marked ID.
+ */
+export function readDesktopExport(filePath, { chatId } = {}) {
+  const resolved = path.resolve(filePath);
+  const notAnExport = new Error(`${resolved} is not a Telegram Desktop JSON export`);
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    // Parser messages quote the file content, so they are not passed on.
+    if (error instanceof SyntaxError) {
+      throw notAnExport;
+    }
+    throw error;
+  }
+  const entries = Array.isArray(parsed?.messages)
+    ? [parsed]
+    : [...(parsed?.chats?.list ?? []), ...(parsed?.left_chats?.list ?? [])];
+  if (!entries.length) {
+    throw notAnExport;
+  }
+
+  const baseDir = path.dirname(resolved);
+  const chats = entries
+    .filter((entry) => entry.messages?.length)
+    .map((entry) => importChat(entry, baseDir));
+  if (chatId === undefined || chatId === null) {
+    return chats;
+  }
+
+  const wanted = String(chatId);
+  const matches = chats.filter((chat) => chat.peerId === wanted || chat.peerId.replace(/^-(100)?/, '') === wanted);
+  if (!matches.length) {
+    throw new Error(`Chat ${chatId} is not in ${resolved}`);
+  }
+  return matches;
+}
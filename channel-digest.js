@@ -0,0 +1,110 @@
+export const DEFAULT_CHUNK_TOKENS = 3000;
+const SUMMARY_MAX_TOKENS = 600;
+
+const CHUNK_PROMPT = `You summarise a slice of a Telegram chat log. Each line starts with the message ID in the form [#123].
+Write a concise bullet list of the topics, decisions, questions and announcements in this slice.
+End every bullet with the IDs of the messages it is based on, e.g. [#120, #123]. Do not invent IDs and do not add an introduction.`;
+
+const MERGE_PROMPT = `You merge partial summaries of one Telegram chat, given in chronological order, into a single digest.
+Keep the most important points, combine duplicates and keep the message ID citations such as [#120, #123] on every bullet.
+Do not invent IDs and do not add an introduction.`;
+
+// Rough estimate (about four characters per token), good enough to keep prompts under a budget.
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function senderLabel(message) {
+  if (message.fromName) {
+    return message.fromName;
+  }
+  return message.fromId && message.fromId !== 'unknown' ? `id ${message.fromId}` : 'Unknown sender';
+}
+
+function formatMessageLine(message, maxTokens) {
+  const details = [
+    message.replyToMessageId ? `reply to #${message.replyToMessageId}` : null,
+    message.media ? message.media.type : null,
+  ].filter(Boolean);
+  const line = `[#${message.messageId}] ${message.date?.slice(0, 16).replace('T', ' ') ?? ''} ${senderLabel(message)}`
+    + `${details.length ? ` (${details.join(', ')})` : ''}: ${message.text.replace(/\s+/g, ' ').trim()}`;
+  const maxLength = maxTokens * 4;
+  return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+}
+
+// Greedily packs consecutive entries into groups whose estimated size stays within the budget.
+function chunkByTokens(entries, budget, measure) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const entry of entries) {
+    const tokens = measure(entry);
+    if (current.length && size + tokens > budget) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(entry);
+    size += tokens;
+  }
+  if (current.length) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Summarises messages (oldest first, as returned by MessageSyncService#getArchivedMessages) with
+ * `sample({ systemPrompt, text, maxTokens })`. Messages are split into chunks of roughly
+ * `chunkTokens` tokens, each chunk is summarised, and the chunk summaries are merged level by
+ * level until a single digest remains.
+ */
+export async function buildDigest(messages, { sample, title, chunkTokens = DEFAULT_CHUNK_TOKENS, onProgress } = {}) {
+  const lineBudget = Math.floor(chunkTokens / 2);
+  const lines = messages.map((message) => ({ message, line: formatMessageLine(message, lineBudget) }));
+  const chunks = chunkByTokens(lines, chunkTokens, (entry) => estimateTokens(entry.line) + 1);
+  const heading = title ? `Chat: ${title}\n\n` : '';
+
+  const sections = [];
+  for (const chunk of chunks) {
+    const summary = await sample({
+      systemPrompt: CHUNK_PROMPT,
+      text: `${heading}${chunk.map((entry) => entry.line).join('\n')}`,
+      maxTokens: SUMMARY_MAX_TOKENS,
+    });
+    sections.push({
+      fromMessageId: chunk[0].message.messageId,
+      toMessageId: chunk[chunk.length - 1].message.messageId,
+      messageCount: chunk.length,
+      summary,
+    });
+    onProgress?.(sections.length, chunks.length);
+  }
+
+  let level = sections.map((section) => `Messages #${section.fromMessageId}-#${section.toMessageId}:\n${section.summary}`);
+  let levels = 1;
+  while (level.length > 1) {
+    let groups = chunkByTokens(level, chunkTokens, (entry) => estimateTokens(entry) + 2);
+    if (groups.length === level.length) {
+      // Summaries bigger than the budget would never merge; pair them up instead.
+      groups = Array.from({ length: Math.ceil(level.length / 2) }, (_, index) => level.slice(index * 2, index * 2 + 2));
+    }
+
+    const merged = [];
+    for (const group of groups) {
+      merged.push(group.length === 1 ? group[0] : await sample({
+        systemPrompt: MERGE_PROMPT,
+        text: `${heading}${group.join('\n\n')}`,
+        maxTokens: SUMMARY_MAX_TOKENS,
+      }));
+    }
+    level = merged;
+    levels += 1;
+  }
+
+  return {
+    summary: sections.length === 1 ? sections[0].summary : level[0] ?? '',
+    levels,
+    sections,
+  };
+}
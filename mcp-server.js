@@ -1,47 +1,107 @@
 import http from "http";
 import { randomUUID } from "crypto";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
-import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
+import {
+  CreateMessageResultSchema,
+  isInitializeRequest,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
 import dotenv from "dotenv";
 import { z } from "zod";
 
-import TelegramClient from "./telegram-client.js";
-import MessageSyncService from "./message-sync-service.js";
+import AccountRegistry from "./account-registry.js";
+import { buildReplyTree } from "./message-sync-service.js";
+import { EXPORT_FORMATS } from "./archive-export.js";
+import { buildDigest } from "./channel-digest.js";
+import { MATCH_MODES } from "./watch-rules.js";
+import { normalizeChannelId } from "./telegram-client.js";
+import WritePolicy from "./write-policy.js";
+import ApiKeyAuth, { SCOPES } from "./api-key-auth.js";
 
 dotenv.config();
 
+const USE_STDIO =
+  process.argv.includes("--stdio") || (process.env.MCP_TRANSPORT ?? "").toLowerCase() === "stdio";
+const STDIO_SESSION_ID = "stdio";
+
+if (USE_STDIO) {
+  // stdout carries the JSON-RPC stream, so every log line has to go to stderr.
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
 const HOST = process.env.MCP_HOST ?? process.env.FASTMCP_HOST ?? "127.0.0.1";
 const PORT = Number(process.env.MCP_PORT ?? process.env.FASTMCP_PORT ?? "8080");
 
-const telegramClient = new TelegramClient(
-  process.env.TELEGRAM_API_ID,
-  process.env.TELEGRAM_API_HASH,
-  process.env.TELEGRAM_PHONE_NUMBER,
-  "./data/session.json",
-);
-
-const messageSyncService = new MessageSyncService(telegramClient, {
-  dbPath: "./data/messages.db",
-  batchSize: 100,
-  interJobDelayMs: 3000,
-  interBatchDelayMs: 1200,
+const accountRegistry = new AccountRegistry({
+  accounts: process.env.TELEGRAM_ACCOUNTS,
+  accountsFile: process.env.TELEGRAM_ACCOUNTS_FILE,
+  defaultAccount: process.env.TELEGRAM_DEFAULT_ACCOUNT,
+  apiId: process.env.TELEGRAM_API_ID,
+  apiHash: process.env.TELEGRAM_API_HASH,
+  phoneNumber: process.env.TELEGRAM_PHONE_NUMBER,
+  dataDir: "./data",
+  interactiveLogin: !USE_STDIO && Boolean(process.stdin.isTTY),
+  syncOptions: {
+    batchSize: 100,
+    concurrency: Number(process.env.TELEGRAM_SYNC_CONCURRENCY ?? 3),
+    rateLimits: {
+      ratePerSecond: Number(process.env.TELEGRAM_SYNC_RATE_PER_SECOND ?? 1),
+      burst: Number(process.env.TELEGRAM_SYNC_BURST ?? 3),
+    },
+  },
+});
+
+function parseBooleanEnv(value) {
+  return ["1", "true", "yes", "on"].includes(String(value ?? "").trim().toLowerCase());
+}
+
+const writePolicy = new WritePolicy({
+  dbPath: "./data/audit.db",
+  readOnly: parseBooleanEnv(process.env.TELEGRAM_READ_ONLY),
+  dryRun: parseBooleanEnv(process.env.TELEGRAM_WRITE_DRY_RUN),
+  allowlist: process.env.TELEGRAM_WRITE_ALLOWLIST,
+  denylist: process.env.TELEGRAM_WRITE_DENYLIST,
+  rateLimit: Number(process.env.TELEGRAM_WRITE_RATE_LIMIT ?? 0),
+  rateWindowMs: Number(process.env.TELEGRAM_WRITE_RATE_WINDOW_SECONDS ?? 60) * 1000,
 });
 
-let telegramReady = false;
+const apiKeyAuth = new ApiKeyAuth({
+  keys: process.env.MCP_API_KEYS,
+  keysFile: process.env.MCP_API_KEYS_FILE,
+});
+const PUBLIC_URL = (process.env.MCP_PUBLIC_URL ?? `http://${HOST}:${PORT}`).replace(/\/+$/, "");
+const RESOURCE_METADATA_ENABLED = parseBooleanEnv(process.env.MCP_RESOURCE_METADATA);
+const RESOURCE_METADATA_PATH = "/.well-known/oauth-protected-resource";
 
-async function initializeTelegram() {
-  if (telegramReady) return;
+async function initializeAccount(account) {
+  if (account.ready) return;
 
-  console.log("[startup] Initializing Telegram dialogs...");
-  const dialogsReady = await telegramClient.initializeDialogCache();
+  console.log(`[startup] Initializing Telegram dialogs for account "${account.name}"...`);
+  const dialogsReady = await account.client.initializeDialogCache();
 
   if (!dialogsReady) {
-    throw new Error("Failed to initialize Telegram dialog list");
+    console.log(`[startup] Account "${account.name}" is not logged in yet; use the login tools to authenticate`);
+    return;
   }
 
-  messageSyncService.resumePendingJobs();
-  telegramReady = true;
+  account.syncService.startRealtimeSync();
+  account.syncService.resumePendingJobs();
+  account.syncService.startScheduler();
+  account.ready = true;
+}
+
+for (const account of accountRegistry.list()) {
+  account.client.onAuthorized(() => {
+    void initializeAccount(account).catch((error) => {
+      console.error(`[startup] Telegram initialization after login failed for account "${account.name}": ${error?.message ?? error}`);
+    });
+  });
 }
 
 /**
@@ -49,8 +109,288 @@ async function initializeTelegram() {
  */
 const sessions = new Map();
 
+// Sessions that scheduled each sync job (by account and job ID); they get its progress as logging notifications.
+const jobWatchers = new Map();
+
+function watchJob(accountName, jobId, sessionId) {
+  const key = `${accountName}:${jobId}`;
+  if (!jobWatchers.has(key)) {
+    jobWatchers.set(key, new Set());
+  }
+  jobWatchers.get(key).add(sessionId);
+}
+
+function forgetJobWatcher(sessionId) {
+  for (const [jobId, watchers] of jobWatchers) {
+    watchers.delete(sessionId);
+    if (!watchers.size) {
+      jobWatchers.delete(jobId);
+    }
+  }
+}
+
+function notifyJobWatchers(account, event) {
+  const key = `${account.name}:${event.jobId}`;
+  const watchers = jobWatchers.get(key);
+  if (!watchers) {
+    return;
+  }
+  for (const sessionId of watchers) {
+    const record = sessions.get(sessionId);
+    if (!record?.server) {
+      continue;
+    }
+    void record.server.server
+      .sendLoggingMessage({
+        level: event.status === "error" ? "warning" : "info",
+        logger: "message-sync",
+        data: { account: account.name, ...event },
+      }, record.transport?.sessionId)
+      .catch((error) => {
+        console.error(`[sync] failed to notify session ${sessionId}: ${error.message}`);
+      });
+  }
+  if (event.done) {
+    jobWatchers.delete(key);
+  }
+}
+
+for (const account of accountRegistry.list()) {
+  account.syncService.onProgress((event) => notifyJobWatchers(account, event));
+}
+
+function waitForJob(messageSyncService, jobId, { signal, sendNotification, _meta }) {
+  const progressToken = _meta?.progressToken;
+
+  return new Promise((resolve) => {
+    const finish = () => {
+      unsubscribe();
+      signal?.removeEventListener("abort", finish);
+      resolve();
+    };
+    const unsubscribe = messageSyncService.onProgress((event) => {
+      if (event.jobId !== jobId) {
+        return;
+      }
+      if (progressToken !== undefined) {
+        void sendNotification({
+          method: "notifications/progress",
+          params: {
+            progressToken,
+            progress: event.progress,
+            total: 1,
+            message: `${event.fetched} messages archived (${event.status})`,
+          },
+        }).catch(() => {});
+      }
+      if (event.done) {
+        finish();
+      }
+    });
+    signal?.addEventListener("abort", finish);
+  });
+}
+
+// Sends one sampling/createMessage request to the client that issued the tool call.
+async function sampleText(extra, { systemPrompt, text, maxTokens }) {
+  const result = await extra.sendRequest(
+    {
+      method: "sampling/createMessage",
+      params: {
+        systemPrompt,
+        messages: [{ role: "user", content: { type: "text", text } }],
+        maxTokens,
+        includeContext: "none",
+      },
+    },
+    CreateMessageResultSchema,
+    { signal: extra.signal },
+  );
+  if (result.content.type !== "text") {
+    throw new Error(`Sampling returned ${result.content.type} content instead of text`);
+  }
+  return result.content.text.trim();
+}
+
+const accountSchema = {
+  account: z
+    .string({ invalid_type_error: "account must be a string" })
+    .min(1)
+    .optional()
+    .describe("Telegram account to use, as named by listAccounts (defaults to the default account)"),
+};
+
+// The SDK matcher treats every {?query} variable as required and order-sensitive; here they are optional.
+class OptionalQueryUriTemplate extends UriTemplate {
+  constructor(template) {
+    super(template);
+    const [, pathTemplate, queryNames] = /^(.*?)(?:\{\?([^}]+)\})?$/.exec(template);
+    this.pathTemplate = new UriTemplate(pathTemplate);
+    this.queryNames = queryNames ? queryNames.split(",") : [];
+  }
+
+  match(uri) {
+    const queryStart = uri.indexOf("?");
+    const variables = this.pathTemplate.match(queryStart === -1 ? uri : uri.slice(0, queryStart));
+    if (!variables) {
+      return null;
+    }
+    const params = new URLSearchParams(queryStart === -1 ? "" : uri.slice(queryStart + 1));
+    for (const name of this.queryNames) {
+      if (params.has(name)) {
+        variables[name] = params.get(name);
+      }
+    }
+    return variables;
+  }
+}
+
+const DIALOG_TEMPLATE = new OptionalQueryUriTemplate("telegram://dialog/{id}{?account}");
+const DIALOG_MESSAGES_TEMPLATE = new OptionalQueryUriTemplate("telegram://dialog/{id}/messages{?since,until,limit,account}");
+
+function dialogResourceUri(account, channelId, suffix = "") {
+  const query = account.name === accountRegistry.defaultName ? "" : `?account=${encodeURIComponent(account.name)}`;
+  return `telegram://dialog/${encodeURIComponent(channelId)}${suffix}${query}`;
+}
+
+function dialogKey(channelId) {
+  return String(normalizeChannelId(String(channelId))).replace(/^@/, "").toLowerCase();
+}
+
+function parseDialogResource(uri) {
+  const variables = DIALOG_MESSAGES_TEMPLATE.match(uri) ?? DIALOG_TEMPLATE.match(uri);
+  if (!variables) {
+    throw new Error(`Unknown resource ${uri}`);
+  }
+  return { account: accountRegistry.get(variables.account), dialogId: decodeURIComponent(variables.id), variables };
+}
+
+// Resolves the account and archived sync job a dialog resource URI points at.
+function resolveDialogResource(uri) {
+  const { account, dialogId, variables } = parseDialogResource(uri);
+  const key = dialogKey(dialogId);
+  const job = account.syncService
+    .listJobs()
+    .find((entry) => dialogKey(entry.channel_id) === key || (entry.peer_id && dialogKey(entry.peer_id) === key));
+  if (!job) {
+    throw new Error(`Dialog ${dialogId} is not archived for account "${account.name}"; schedule a sync job for it first`);
+  }
+  return { account, job, variables };
+}
+
+function listDialogResources(suffix, describe) {
+  const resources = [];
+  for (const account of accountRegistry.list()) {
+    for (const job of account.syncService.listJobs()) {
+      resources.push({
+        uri: dialogResourceUri(account, job.channel_id, suffix),
+        mimeType: "application/json",
+        ...describe(job, account),
+      });
+    }
+  }
+  return { resources };
+}
+
+// Resource URIs each session subscribed to; they get notifications/resources/updated when the archive changes.
+const resourceSubscriptions = new Map();
+
+function notifyResourceSubscribers(account, { channelId, peerId }) {
+  const keys = new Set([channelId, peerId].filter(Boolean).map(dialogKey));
+  for (const [sessionId, uris] of resourceSubscriptions) {
+    const record = sessions.get(sessionId);
+    if (!record?.server) {
+      continue;
+    }
+    for (const uri of uris) {
+      const subscribed = parseDialogResource(uri);
+      if (subscribed.account !== account || !keys.has(dialogKey(subscribed.dialogId))) {
+        continue;
+      }
+      void record.server.server.sendResourceUpdated({ uri }).catch((error) => {
+        console.error(`[resources] failed to notify session ${sessionId}: ${error.message}`);
+      });
+    }
+  }
+}
+
+for (const account of accountRegistry.list()) {
+  account.syncService.onArchiveChange((event) => notifyResourceSubscribers(account, event));
+}
+
+const WATCH_WEBHOOK_URL = process.env.TELEGRAM_WATCH_WEBHOOK_URL || null;
+const WATCH_WEBHOOK_TIMEOUT_MS = 5000;
+
+// Watch rule hits go to every connected session as logging notifications and, if configured, to the webhook.
+function notifyWatchHit(account, hit) {
+  const data = { account: account.name, ...hit };
+  for (const [sessionId, record] of sessions) {
+    if (!record?.server) {
+      continue;
+    }
+    void record.server.server
+      .sendLoggingMessage({ level: "notice", logger: "watch-rules", data }, record.transport?.sessionId)
+      .catch((error) => {
+        console.error(`[watch] failed to notify session ${sessionId}: ${error.message}`);
+      });
+  }
+
+  if (WATCH_WEBHOOK_URL) {
+    fetch(WATCH_WEBHOOK_URL, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(data),
+      signal: AbortSignal.timeout(WATCH_WEBHOOK_TIMEOUT_MS),
+    })
+      .then((response) => {
+        if (!response.ok) {
+          console.warn(`[watch] webhook answered ${response.status} for hit ${hit.id}`);
+        }
+      })
+      .catch((error) => {
+        console.warn(`[watch] webhook delivery failed for hit ${hit.id}: ${error.message}`);
+      });
+  }
+}
+
+for (const account of accountRegistry.list()) {
+  account.syncService.watchRules.onHit((hit) => notifyWatchHit(account, hit));
+}
+
+const cursorSchema = {
+  cursor: z
+    .string({ invalid_type_error: "cursor must be a string" })
+    .min(1)
+    .optional()
+    .describe("Opaque nextCursor value from a previous response, to fetch the next page"),
+};
+
+function encodeCursor(kind, payload) {
+  return Buffer.from(JSON.stringify({ kind, ...payload }), "utf8").toString("base64url");
+}
+
+function decodeCursor(cursor, kind) {
+  if (!cursor) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!payload || payload.kind !== kind) {
+    throw new Error(`Cursor was not issued by this tool (expected a ${kind} cursor)`);
+  }
+  return payload;
+}
+
 const listChannelsSchema = {
   limit: z.number().int().positive().optional().describe("Maximum number of channels to return (default: 50)"),
+  ...cursorSchema,
+  ...accountSchema,
 };
 
 const searchChannelsSchema = {
@@ -59,6 +399,7 @@ const searchChannelsSchema = {
     .min(1)
     .describe("Keywords to search for in channel titles or usernames"),
   limit: z.number().int().positive().optional().describe("Maximum number of results to return (default: 100)"),
+  ...accountSchema,
 };
 
 const getChannelMessagesSchema = {
@@ -73,6 +414,20 @@ const getChannelMessagesSchema = {
     .string()
     .optional()
     .describe("Optional regex to filter message content"),
+  minId: z
+    .number({ invalid_type_error: "minId must be a number" })
+    .int()
+    .nonnegative()
+    .optional()
+    .describe("Only return messages with an ID greater than this"),
+  maxId: z
+    .number({ invalid_type_error: "maxId must be a number" })
+    .int()
+    .nonnegative()
+    .optional()
+    .describe("Only return messages with an ID lower than this"),
+  ...cursorSchema,
+  ...accountSchema,
 };
 
 const scheduleMessageSyncSchema = {
@@ -88,7 +443,93 @@ const scheduleMessageSyncSchema = {
     .positive()
     .max(50000)
     .optional()
-    .describe("Maximum messages to retain per channel (default 1000)"),
+    .describe("Maximum messages to retain per channel (default 1000, or unlimited when since is set)"),
+  since: z
+    .string({ invalid_type_error: "since must be a string" })
+    .optional()
+    .describe("Backfill history back to this ISO date"),
+  until: z
+    .string({ invalid_type_error: "until must be a string" })
+    .optional()
+    .describe("Ignore messages sent after this ISO date"),
+  priority: z
+    .number({ invalid_type_error: "priority must be a number" })
+    .int()
+    .min(-10)
+    .max(10)
+    .optional()
+    .describe("Higher-priority jobs are processed first (default 0)"),
+  waitForCompletion: z
+    .boolean({ invalid_type_error: "waitForCompletion must be a boolean" })
+    .optional()
+    .describe("Keep the call open until the job finishes, sending progress notifications if the request has a progressToken"),
+  ...accountSchema,
+};
+
+const startLoginSchema = {
+  phoneNumber: z
+    .string({ invalid_type_error: "phoneNumber must be a string" })
+    .min(5)
+    .optional()
+    .describe("Phone number in international format (defaults to TELEGRAM_PHONE_NUMBER)"),
+  ...accountSchema,
+};
+
+const submitLoginCodeSchema = {
+  code: z
+    .string({ invalid_type_error: "code must be a string" })
+    .min(1)
+    .describe("Login code Telegram sent to the account"),
+  ...accountSchema,
+};
+
+const submitLoginPasswordSchema = {
+  password: z
+    .string({ invalid_type_error: "password must be a string" })
+    .min(1)
+    .describe("Two-step verification password"),
+  ...accountSchema,
+};
+
+const syncJobSchema = {
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .describe("Channel ID or username the sync job was scheduled with"),
+  ...accountSchema,
+};
+
+const setMessageSyncScheduleSchema = {
+  ...syncJobSchema,
+  intervalMinutes: z
+    .number({ invalid_type_error: "intervalMinutes must be a number" })
+    .positive()
+    .max(60 * 24 * 31)
+    .optional()
+    .describe("Re-sync this often after the job goes idle"),
+  cron: z
+    .string({ invalid_type_error: "cron must be a string" })
+    .min(1)
+    .optional()
+    .describe("Five-field cron expression in server local time, e.g. \"0 */6 * * *\" or \"@daily\""),
+};
+
+const deleteMessageSyncJobSchema = {
+  ...syncJobSchema,
+  deleteMessages: z
+    .boolean({ invalid_type_error: "deleteMessages must be a boolean" })
+    .optional()
+    .describe("Also delete the archived messages of this channel (default false)"),
+};
+
+const purgeSyncedMessagesSchema = {
+  ...syncJobSchema,
+  before: z
+    .string({ invalid_type_error: "before must be a string" })
+    .min(1)
+    .describe("Delete archived messages sent before this ISO date"),
 };
 
 const searchSyncedMessagesSchema = {
@@ -113,27 +554,1326 @@ const searchSyncedMessagesSchema = {
     .boolean({ invalid_type_error: "caseInsensitive must be a boolean" })
     .optional()
     .describe("Whether the pattern should be case-insensitive (default true)"),
+  ...cursorSchema,
+  ...accountSchema,
+};
+
+const fullTextSearchMessagesSchema = {
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .describe("Numeric channel ID or username"),
+  query: z
+    .string({ invalid_type_error: "query must be a string" })
+    .min(1)
+    .describe("FTS5 query: words, \"exact phrases\", prefix* terms, AND/OR/NOT, NEAR(a b, 5); in regex mode, a regular expression"),
+  mode: z
+    .enum(["fts", "regex"])
+    .optional()
+    .describe("Search mode: ranked full-text (default) or regex fallback"),
+  limit: z
+    .number({ invalid_type_error: "limit must be a number" })
+    .int()
+    .positive()
+    .max(200)
+    .optional()
+    .describe("Maximum number of matches to return (default 50)"),
+  caseInsensitive: z
+    .boolean({ invalid_type_error: "caseInsensitive must be a boolean" })
+    .optional()
+    .describe("Regex mode only: whether the pattern should be case-insensitive (default true)"),
+  ...accountSchema,
+};
+
+const searchAllSyncedMessagesSchema = {
+  query: z
+    .string({ invalid_type_error: "query must be a string" })
+    .min(1)
+    .optional()
+    .describe("Optional FTS5 full-text query (phrases, prefix* terms, AND/OR/NOT)"),
+  pattern: z
+    .string({ invalid_type_error: "pattern must be a string" })
+    .min(1)
+    .optional()
+    .describe("Optional regular expression applied to message text"),
+  channelIds: z
+    .array(
+      z.union([
+        z.number({ invalid_type_error: "channelId must be a number" }),
+        z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+      ]),
+    )
+    .optional()
+    .describe("Restrict the search to these archived channels (IDs or usernames)"),
+  peerTypes: z
+    .array(z.enum(["user", "chat", "channel"]))
+    .optional()
+    .describe("Restrict the search to dialogs of these peer types"),
+  since: z
+    .string({ invalid_type_error: "since must be a string" })
+    .optional()
+    .describe("Only include messages on or after this ISO date"),
+  until: z
+    .string({ invalid_type_error: "until must be a string" })
+    .optional()
+    .describe("Only include messages on or before this ISO date"),
+  sortBy: z
+    .enum(["date", "channel", "relevance"])
+    .optional()
+    .describe("Order hits by date (default), by channel then date, or by FTS relevance"),
+  groupByChannel: z
+    .boolean({ invalid_type_error: "groupByChannel must be a boolean" })
+    .optional()
+    .describe("Group hits per channel instead of returning a flat list (default false)"),
+  limit: z
+    .number({ invalid_type_error: "limit must be a number" })
+    .int()
+    .positive()
+    .max(500)
+    .optional()
+    .describe("Maximum number of hits to return (default 50)"),
+  caseInsensitive: z
+    .boolean({ invalid_type_error: "caseInsensitive must be a boolean" })
+    .optional()
+    .describe("Whether the regex pattern should be case-insensitive (default true)"),
+  ...accountSchema,
+};
+
+const exportSyncedMessagesSchema = {
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .describe("Channel ID or username of the archived dialog"),
+  format: z
+    .enum(Object.keys(EXPORT_FORMATS))
+    .optional()
+    .describe("jsonl (default), csv, markdown transcript, or telegram-json (Telegram Desktop result.json)"),
+  since: z
+    .string({ invalid_type_error: "since must be a string" })
+    .optional()
+    .describe("Only export messages on or after this ISO date"),
+  until: z
+    .string({ invalid_type_error: "until must be a string" })
+    .optional()
+    .describe("Only export messages on or before this ISO date"),
+  ...accountSchema,
+};
+
+const getChannelAnalyticsSchema = {
+  channelIds: z
+    .array(z.union([z.number(), z.string().min(1)]))
+    .min(1)
+    .max(50)
+    .describe("Archived channels to analyse (IDs or usernames); several channels are analysed together and compared"),
+  since: z
+    .string({ invalid_type_error: "since must be a string" })
+    .optional()
+    .describe("Only messages on or after this ISO date"),
+  until: z
+    .string({ invalid_type_error: "until must be a string" })
+    .optional()
+    .describe("Only messages on or before this ISO date"),
+  interval: z
+    .enum(["day", "week"])
+    .optional()
+    .describe("Bucket size of the activity series (default day)"),
+  topPosters: z
+    .number({ invalid_type_error: "topPosters must be a number" })
+    .int()
+    .positive()
+    .max(100)
+    .optional()
+    .describe("Number of most active senders to return (default 10)"),
+  utcOffsetMinutes: z
+    .number({ invalid_type_error: "utcOffsetMinutes must be a number" })
+    .int()
+    .min(-720)
+    .max(840)
+    .optional()
+    .describe("Time zone offset for days, weeks and the hour heatmap, e.g. 120 for UTC+2 (default 0)"),
+  ...accountSchema,
+};
+
+const addWatchRuleSchema = {
+  pattern: z
+    .string({ invalid_type_error: "pattern must be a string" })
+    .min(1)
+    .describe("Keyword or phrase to look for, or a regular expression with mode \"regex\""),
+  mode: z
+    .enum(MATCH_MODES)
+    .optional()
+    .describe("keyword (default, plain substring match) or regex"),
+  caseInsensitive: z
+    .boolean({ invalid_type_error: "caseInsensitive must be a boolean" })
+    .optional()
+    .describe("Ignore letter case (default true)"),
+  channelIds: z
+    .array(z.union([z.number(), z.string().min(1)]))
+    .optional()
+    .describe("Only watch these channels (IDs or usernames); omit to watch every archived channel"),
+  fromIds: z
+    .array(z.union([z.number(), z.string().min(1)]))
+    .optional()
+    .describe("Only match messages from these sender IDs"),
+  name: z
+    .string({ invalid_type_error: "name must be a string" })
+    .optional()
+    .describe("Label included in hits and notifications"),
+  ...accountSchema,
 };
 
-function createServerInstance() {
-  const server = new McpServer({
-    name: "example-mcp-server",
-    version: "1.0.0",
-  });
+const watchRuleSchema = {
+  ruleId: z
+    .number({ invalid_type_error: "ruleId must be a number" })
+    .int()
+    .positive()
+    .describe("ID of the watch rule, as returned by addWatchRule or listWatchRules"),
+  ...accountSchema,
+};
+
+const getWatchHitsSchema = {
+  ruleId: z
+    .number({ invalid_type_error: "ruleId must be a number" })
+    .int()
+    .positive()
+    .optional()
+    .describe("Only hits of this rule"),
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .optional()
+    .describe("Only hits in this channel (as its sync job was scheduled)"),
+  limit: z
+    .number({ invalid_type_error: "limit must be a number" })
+    .int()
+    .positive()
+    .max(500)
+    .optional()
+    .describe("Maximum number of hits to return (default 50)"),
+  ...cursorSchema,
+  ...accountSchema,
+};
+
+const getChannelDigestSchema = {
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .describe("Channel ID or username of the archived dialog"),
+  since: z
+    .string({ invalid_type_error: "since must be a string" })
+    .optional()
+    .describe("Start of the window as an ISO date (default: start of the current UTC day)"),
+  until: z
+    .string({ invalid_type_error: "until must be a string" })
+    .optional()
+    .describe("End of the window as an ISO date (default: open-ended)"),
+  maxMessages: z
+    .number({ invalid_type_error: "maxMessages must be a number" })
+    .int()
+    .positive()
+    .max(5000)
+    .optional()
+    .describe("Summarise at most this many of the newest messages in the window (default 1000)"),
+  refresh: z
+    .boolean({ invalid_type_error: "refresh must be a boolean" })
+    .optional()
+    .describe("Ignore a cached digest and summarise again (default false)"),
+  ...accountSchema,
+};
+
+const importTelegramExportSchema = {
+  path: z
+    .string({ invalid_type_error: "path must be a string" })
+    .min(1)
+    .describe("Path of a Telegram Desktop result.json, relative to the account's imports directory (data/imports/ for the default account)"),
+  chatId: z
+    .union([
+      z.number({ invalid_type_error: "chatId must be a number" }),
+      z.string({ invalid_type_error: "chatId must be a string" }).min(1),
+    ])
+    .optional()
+    .describe("Only import this chat from a full-account export"),
+  ...accountSchema,
+};
+
+const messageFormattingSchema = {
+  parseMode: z
+    .enum(["plain", "markdown", "html"])
+    .optional()
+    .describe("How to interpret the text: plain (default), markdown or html"),
+  disableWebPreview: z
+    .boolean({ invalid_type_error: "disableWebPreview must be a boolean" })
+    .optional()
+    .describe("Disable link previews (default false)"),
+};
+
+const sendDeliverySchema = {
+  silent: z
+    .boolean({ invalid_type_error: "silent must be a boolean" })
+    .optional()
+    .describe("Send without a notification sound (default false)"),
+  scheduleDate: z
+    .string({ invalid_type_error: "scheduleDate must be a string" })
+    .optional()
+    .describe("Optional future ISO date to schedule the message instead of sending now"),
+};
+
+const dryRunSchema = {
+  dryRun: z
+    .boolean({ invalid_type_error: "dryRun must be a boolean" })
+    .optional()
+    .describe("Validate against the write policy and return what would be sent without sending (default false)"),
+};
+
+const sendMessageSchema = {
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .describe("Numeric chat ID or username to send to"),
+  text: z
+    .string({ invalid_type_error: "text must be a string" })
+    .min(1)
+    .max(4096)
+    .describe("Message text"),
+  ...messageFormattingSchema,
+  ...sendDeliverySchema,
+  ...dryRunSchema,
+  ...accountSchema,
+};
+
+const replyToMessageSchema = {
+  ...sendMessageSchema,
+  messageId: z
+    .number({ invalid_type_error: "messageId must be a number" })
+    .int()
+    .positive()
+    .describe("ID of the message to reply to"),
+};
+
+const forwardMessagesSchema = {
+  fromChannelId: z
+    .union([
+      z.number({ invalid_type_error: "fromChannelId must be a number" }),
+      z.string({ invalid_type_error: "fromChannelId must be a string" }).min(1),
+    ])
+    .describe("Chat ID or username the messages are forwarded from"),
+  toChannelId: z
+    .union([
+      z.number({ invalid_type_error: "toChannelId must be a number" }),
+      z.string({ invalid_type_error: "toChannelId must be a string" }).min(1),
+    ])
+    .describe("Chat ID or username the messages are forwarded to"),
+  messageIds: z
+    .array(z.number().int().positive())
+    .min(1)
+    .max(100)
+    .describe("IDs of the messages to forward"),
+  noAuthor: z
+    .boolean({ invalid_type_error: "noAuthor must be a boolean" })
+    .optional()
+    .describe("Hide the original author (send as a copy, default false)"),
+  ...sendDeliverySchema,
+  ...dryRunSchema,
+  ...accountSchema,
+};
+
+const editOwnMessageSchema = {
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .describe("Numeric chat ID or username containing the message"),
+  messageId: z
+    .number({ invalid_type_error: "messageId must be a number" })
+    .int()
+    .positive()
+    .describe("ID of a message previously sent by this account"),
+  text: z
+    .string({ invalid_type_error: "text must be a string" })
+    .min(1)
+    .max(4096)
+    .describe("New message text"),
+  ...messageFormattingSchema,
+  ...dryRunSchema,
+  ...accountSchema,
+};
+
+const getThreadSchema = {
+  channelId: z
+    .union([
+      z.number({ invalid_type_error: "channelId must be a number" }),
+      z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+    ])
+    .describe("Numeric channel ID or username"),
+  messageId: z
+    .number({ invalid_type_error: "messageId must be a number" })
+    .int()
+    .positive()
+    .optional()
+    .describe("Any message in the reply chain; the tree is rebuilt from its topmost ancestor"),
+  topicId: z
+    .number({ invalid_type_error: "topicId must be a number" })
+    .int()
+    .positive()
+    .optional()
+    .describe("Forum topic ID (the ID of the topic's first message)"),
+  source: z
+    .enum(["auto", "archive", "live"])
+    .optional()
+    .describe("Read from the archive, from Telegram, or archive with live fallback (default auto)"),
+  limit: z
+    .number({ invalid_type_error: "limit must be a number" })
+    .int()
+    .positive()
+    .max(500)
+    .optional()
+    .describe("Maximum number of messages in the thread (default 200)"),
+  ...accountSchema,
+};
+
+function formatSentMessage(message) {
+  return {
+    id: message.id,
+    peer_id: message.peer_id,
+    date: message.date ? new Date(message.date * 1000).toISOString() : "unknown",
+    text: message.text ?? "",
+  };
+}
+
+function createServerInstance() {
+  const server = new McpServer(
+    {
+      name: "example-mcp-server",
+      version: "1.0.0",
+    },
+    {
+      capabilities: { logging: {}, resources: { subscribe: true } },
+    },
+  );
+
+  server.resource(
+    "dialog",
+    new ResourceTemplate(DIALOG_TEMPLATE, {
+      list: async () => listDialogResources("", (job, account) => ({
+        name: job.peer_title ?? String(job.channel_id),
+        description: `Archived ${job.peer_type ?? "dialog"} ${job.channel_id} (account ${account.name})`,
+      })),
+    }),
+    {
+      description: "An archived dialog: its sync job, archive statistics and the URI of its messages.",
+      mimeType: "application/json",
+    },
+    async (uri) => {
+      const { account, job } = resolveDialogResource(uri.href);
+      const payload = {
+        account: account.name,
+        job,
+        stats: account.syncService.getMessageStats(job.channel_id),
+        messagesUri: dialogResourceUri(account, job.channel_id, "/messages"),
+      };
+
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: "application/json",
+            text: JSON.stringify(payload, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.resource(
+    "dialogMessages",
+    new ResourceTemplate(DIALOG_MESSAGES_TEMPLATE, {
+      list: async () => listDialogResources("/messages", (job, account) => ({
+        name: `${job.peer_title ?? job.channel_id} messages`,
+        description: `Latest archived messages of ${job.channel_id} (account ${account.name})`,
+      })),
+    }),
+    {
+      description: "Archived messages of a dialog, oldest first. Optional since/until (ISO dates) and limit (default 100, max 1000) query parameters.",
+      mimeType: "application/json",
+    },
+    async (uri) => {
+      const { account, job, variables } = resolveDialogResource(uri.href);
+      const limit = variables.limit === undefined ? 100 : Number(variables.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        throw new Error("limit must be an integer between 1 and 1000");
+      }
+      const messages = account.syncService.getArchivedMessages(job.channel_id, {
+        since: variables.since,
+        until: variables.until,
+        limit,
+      });
+
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: "application/json",
+            text: JSON.stringify({ account: account.name, channelId: job.channel_id, peerTitle: job.peer_title, messages }, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+    parseDialogResource(request.params.uri);
+    const sessionId = extra.sessionId ?? STDIO_SESSION_ID;
+    if (!resourceSubscriptions.has(sessionId)) {
+      resourceSubscriptions.set(sessionId, new Set());
+    }
+    resourceSubscriptions.get(sessionId).add(request.params.uri);
+    return {};
+  });
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request, extra) => {
+    resourceSubscriptions.get(extra.sessionId ?? STDIO_SESSION_ID)?.delete(request.params.uri);
+    return {};
+  });
+
+  server.tool(
+    "listAccounts",
+    "Lists the configured Telegram accounts with their login state and storage paths.",
+    {},
+    async () => {
+      const accounts = await accountRegistry.describe();
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(accounts, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "getLoginStatus",
+    "Reports whether the server is logged in to Telegram and which login step is pending.",
+    accountSchema,
+    async ({ account }) => {
+      const { client: telegramClient } = accountRegistry.get(account);
+      const status = await telegramClient.getLoginStatus();
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(status, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "startLogin",
+    "Starts a phone login: Telegram sends a login code to the account. Follow up with submitLoginCode.",
+    startLoginSchema,
+    async ({ phoneNumber, account }) => {
+      const { client: telegramClient } = accountRegistry.get(account);
+      const status = await telegramClient.startLogin(phoneNumber);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(status, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "submitLoginCode",
+    "Submits the login code from startLogin. If the account has two-step verification, follow up with submitLoginPassword.",
+    submitLoginCodeSchema,
+    async ({ code, account }) => {
+      const { client: telegramClient } = accountRegistry.get(account);
+      const status = await telegramClient.submitLoginCode(code);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(status, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "submitLoginPassword",
+    "Submits the two-step verification password for a pending phone or QR login.",
+    submitLoginPasswordSchema,
+    async ({ password, account }) => {
+      const { client: telegramClient } = accountRegistry.get(account);
+      const status = await telegramClient.submitLoginPassword(password);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(status, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "startQrLogin",
+    "Starts a QR-code login and returns a tg://login URL to render as a QR code and scan from a logged-in Telegram app. Poll getLoginStatus until it reports done.",
+    accountSchema,
+    async ({ account }) => {
+      const { client: telegramClient } = accountRegistry.get(account);
+      const status = await telegramClient.startQrLogin();
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(status, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "listChannels",
+    "Lists available Telegram dialogs for the authenticated account.",
+    listChannelsSchema,
+    async ({ limit, cursor, account }) => {
+      const { client: telegramClient } = accountRegistry.get(account);
+      await telegramClient.ensureLogin();
+      // Without limit or cursor the response keeps its original bare-array shape.
+      const paged = limit !== undefined || cursor !== undefined;
+      const pageSize = limit ?? 50;
+      const offset = decodeCursor(cursor, "channels")?.offset ?? 0;
+      const dialogs = await telegramClient.listDialogs(pageSize + 1, { offset });
+      const channels = dialogs.slice(0, pageSize);
+      const nextCursor = dialogs.length > pageSize
+        ? encodeCursor("channels", { offset: offset + pageSize })
+        : null;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(paged ? { channels, nextCursor } : channels, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "searchChannels",
+    "Searches dialogs by title or username.",
+    searchChannelsSchema,
+    async ({ keywords, limit, account }) => {
+      const { client: telegramClient } = accountRegistry.get(account);
+      await telegramClient.ensureLogin();
+      const matches = await telegramClient.searchDialogs(keywords, limit ?? 100);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(matches, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "getChannelMessages",
+    "Retrieves recent messages for a channel by numeric ID or username.",
+    getChannelMessagesSchema,
+    async ({ channelId, limit, filterPattern, minId, maxId, cursor, account }) => {
+      const { client: telegramClient, syncService: messageSyncService } = accountRegistry.get(account);
+      await telegramClient.ensureLogin();
+
+      const pageSize = limit ?? 100;
+      const page = decodeCursor(cursor, "channelMessages");
+      if (page && String(page.channelId) !== String(channelId)) {
+        throw new Error("Cursor belongs to a different channel");
+      }
+
+      const { peerTitle, messages } = await telegramClient.getMessagesByChannelId(
+        channelId,
+        pageSize,
+        {
+          minId: page?.minId ?? minId ?? 0,
+          maxId: page?.maxId ?? maxId ?? 0,
+        },
+      );
+      messageSyncService.rememberPeers(messages.map((msg) => msg.sender));
+
+      let formatted = messages.map((msg) => ({
+        id: msg.id,
+        date: msg.date ? new Date(msg.date * 1000).toISOString() : "unknown",
+        text: msg.text ?? msg.message ?? "",
+        from_id: msg.from_id ?? "unknown",
+        from_name: msg.from_name ?? null,
+        media: msg.media ?? null,
+        reply_to_message_id: msg.reply_to_message_id ?? null,
+        topic_id: msg.topic_id ?? null,
+        forward: msg.forward ?? null,
+      }));
+
+      if (filterPattern) {
+        try {
+          const regex = new RegExp(filterPattern);
+          formatted = formatted.filter((msg) => msg.text && regex.test(msg.text));
+        } catch (error) {
+          throw new Error(`Invalid filterPattern: ${error.message}`);
+        }
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                peerTitle,
+                totalFetched: messages.length,
+                returned: formatted.length,
+                messages: formatted,
+                nextCursor: messages.length >= pageSize
+                  ? encodeCursor("channelMessages", {
+                    channelId,
+                    minId: page?.minId ?? minId ?? 0,
+                    maxId: Math.min(...messages.map((msg) => msg.id)),
+                  })
+                  : null,
+              },
+              null,
+              2,
+            ),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "getUserInfo",
+    "Looks up a Telegram user (or sending channel) by ID or username, using the local sender cache and falling back to Telegram.",
+    {
+      userId: z
+        .union([
+          z.number({ invalid_type_error: "userId must be a number" }),
+          z.string({ invalid_type_error: "userId must be a string" }).min(1),
+        ])
+        .optional()
+        .describe("Numeric user ID"),
+      username: z
+        .string({ invalid_type_error: "username must be a string" })
+        .min(1)
+        .optional()
+        .describe("Username, with or without the leading @"),
+      refresh: z
+        .boolean({ invalid_type_error: "refresh must be a boolean" })
+        .optional()
+        .describe("Always fetch fresh details from Telegram (default false)"),
+      ...accountSchema,
+    },
+    async ({ userId, username, refresh, account }) => {
+      const { client: telegramClient, syncService: messageSyncService } = accountRegistry.get(account);
+      if (!userId && !username) {
+        throw new Error("Either userId or username is required");
+      }
+
+      const lookup = { id: userId ? String(userId) : undefined, username };
+      let user = refresh ? null : messageSyncService.getUser(lookup);
+
+      if (!user) {
+        await telegramClient.ensureLogin();
+        const peer = await telegramClient.getUserInfo(userId ?? username);
+        messageSyncService.rememberPeers([peer]);
+        user = messageSyncService.getUser({ id: peer?.id });
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(user, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "getThread",
+    "Reconstructs a reply tree or forum topic, from the archive or live from Telegram.",
+    getThreadSchema,
+    async ({ channelId, messageId, topicId, source, limit, account }) => {
+      const { client: telegramClient, syncService: messageSyncService } = accountRegistry.get(account);
+      if (!messageId && !topicId) {
+        throw new Error("Either messageId or topicId is required");
+      }
+
+      const mode = source ?? "auto";
+      let thread = mode === "live"
+        ? null
+        : messageSyncService.getThread(channelId, { messageId, topicId, limit: limit ?? 200 });
+
+      if (!thread && mode !== "archive") {
+        await telegramClient.ensureLogin();
+        const threadId = topicId ?? messageId;
+        const messages = await telegramClient.getThreadMessages(channelId, threadId, limit ?? 200);
+        const nodes = messages.map((msg) => ({
+          messageId: msg.id,
+          date: msg.date ? new Date(msg.date * 1000).toISOString() : null,
+          fromId: msg.from_id ?? null,
+          text: msg.text ?? "",
+          replyToMessageId: msg.reply_to_message_id ?? null,
+          topicId: msg.topic_id ?? null,
+          forward: msg.forward ?? null,
+          media: msg.media ?? null,
+        }));
+
+        thread = {
+          source: "live",
+          channelId: String(channelId),
+          rootMessageId: topicId ? null : threadId,
+          topicId: topicId ?? null,
+          totalMessages: nodes.length,
+          tree: buildReplyTree(nodes),
+        };
+      }
+
+      if (!thread) {
+        throw new Error("Thread is not archived; retry with source \"live\" or \"auto\"");
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(thread, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "downloadMedia",
+    "Downloads the photo, document, voice note or other file attached to a message into ./data/media and returns its local path and SHA-256 hash.",
+    {
+      channelId: z
+        .union([
+          z.number({ invalid_type_error: "channelId must be a number" }),
+          z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+        ])
+        .describe("Numeric channel ID or username"),
+      messageId: z
+        .number({ invalid_type_error: "messageId must be a number" })
+        .int()
+        .positive()
+        .describe("ID of the message whose media should be downloaded"),
+      ...accountSchema,
+    },
+    async ({ channelId, messageId, account }) => {
+      const { client: telegramClient, syncService: messageSyncService } = accountRegistry.get(account);
+      const download = await telegramClient.downloadMedia(channelId, messageId);
+      const archived = messageSyncService.recordMediaDownload(download.peerId, messageId, download);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ ...download, archived }, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "sendMessage",
+    "Sends a text message to a chat, optionally formatted, silent or scheduled. Subject to the write policy.",
+    sendMessageSchema,
+    async ({ channelId, text, dryRun, account, ...options }, { sessionId }) => {
+      const { name: accountName, client: telegramClient } = accountRegistry.get(account);
+      const result = await writePolicy.run(
+        {
+          sessionId,
+          account: accountName,
+          action: "sendMessage",
+          chatIds: [channelId],
+          payload: { channelId, text, ...options },
+          dryRun,
+          resolvePeerId: (chatId) => telegramClient.resolvePeerId(chatId),
+        },
+        async () => formatSentMessage(await telegramClient.sendMessage(channelId, text, options)),
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "replyToMessage",
+    "Replies to a specific message in a chat. Subject to the write policy.",
+    replyToMessageSchema,
+    async ({ channelId, messageId, text, dryRun, account, ...options }, { sessionId }) => {
+      const { name: accountName, client: telegramClient } = accountRegistry.get(account);
+      const result = await writePolicy.run(
+        {
+          sessionId,
+          account: accountName,
+          action: "replyToMessage",
+          chatIds: [channelId],
+          payload: { channelId, messageId, text, ...options },
+          dryRun,
+          resolvePeerId: (chatId) => telegramClient.resolvePeerId(chatId),
+        },
+        async () => formatSentMessage(
+          await telegramClient.replyToMessage(channelId, messageId, text, options),
+        ),
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "forwardMessages",
+    "Forwards messages from one chat to another. Subject to the write policy.",
+    forwardMessagesSchema,
+    async ({ fromChannelId, toChannelId, messageIds, dryRun, account, ...options }, { sessionId }) => {
+      const { name: accountName, client: telegramClient } = accountRegistry.get(account);
+      const result = await writePolicy.run(
+        {
+          sessionId,
+          account: accountName,
+          action: "forwardMessages",
+          chatIds: [toChannelId],
+          payload: { fromChannelId, toChannelId, messageIds, ...options },
+          dryRun,
+          resolvePeerId: (chatId) => telegramClient.resolvePeerId(chatId),
+        },
+        async () => {
+          const messages = await telegramClient.forwardMessages(
+            fromChannelId,
+            messageIds,
+            toChannelId,
+            options,
+          );
+          return messages.map(formatSentMessage);
+        },
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "editOwnMessage",
+    "Edits the text of a message previously sent by this account. Subject to the write policy.",
+    editOwnMessageSchema,
+    async ({ channelId, messageId, text, dryRun, account, ...options }, { sessionId }) => {
+      const { name: accountName, client: telegramClient } = accountRegistry.get(account);
+      const result = await writePolicy.run(
+        {
+          sessionId,
+          account: accountName,
+          action: "editOwnMessage",
+          chatIds: [channelId],
+          payload: { channelId, messageId, text, ...options },
+          dryRun,
+          resolvePeerId: (chatId) => telegramClient.resolvePeerId(chatId),
+        },
+        async () => formatSentMessage(
+          await telegramClient.editOwnMessage(channelId, messageId, text, options),
+        ),
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "getWriteAuditLog",
+    "Shows the active write policy and the most recent allowed, blocked and dry-run write actions.",
+    {
+      limit: z
+        .number({ invalid_type_error: "limit must be a number" })
+        .int()
+        .positive()
+        .max(500)
+        .optional()
+        .describe("Maximum number of audit entries to return (default 50)"),
+      account: z
+        .string({ invalid_type_error: "account must be a string" })
+        .min(1)
+        .optional()
+        .describe("Only show writes made through this account (default: all accounts)"),
+    },
+    async ({ limit, account }) => {
+      const payload = {
+        policy: writePolicy.describe(),
+        entries: writePolicy.listAudit(limit ?? 50, { account }),
+      };
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(payload, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "scheduleMessageSync",
+    "Schedules a background job to archive channel messages locally.",
+    scheduleMessageSyncSchema,
+    async ({ channelId, depth, since, until, priority, waitForCompletion, account }, extra) => {
+      const { name: accountName, client: telegramClient, syncService: messageSyncService } = accountRegistry.get(account);
+      await telegramClient.ensureLogin();
+      let job = messageSyncService.addJob(channelId, { depth, since, until, priority });
+      watchJob(accountName, job.id, extra.sessionId ?? STDIO_SESSION_ID);
+      const completion = waitForCompletion ? waitForJob(messageSyncService, job.id, extra) : null;
+      void messageSyncService.processQueue();
+
+      if (completion) {
+        await completion;
+        job = messageSyncService.listJobs().find((entry) => entry.id === job.id) ?? { ...job, status: "deleted" };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(job, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "cancelMessageSyncJob",
+    "Cancels a pending or running sync job. Messages archived so far are kept.",
+    syncJobSchema,
+    async ({ channelId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const result = messageSyncService.cancelJob(channelId);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "pauseMessageSyncJob",
+    "Pauses a sync job, including live updates and scheduled refreshes, until it is resumed.",
+    syncJobSchema,
+    async ({ channelId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const result = messageSyncService.pauseJob(channelId);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "resumeMessageSyncJob",
+    "Re-queues a paused, cancelled or failed sync job.",
+    syncJobSchema,
+    async ({ channelId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const result = messageSyncService.resumeJob(channelId);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "deleteMessageSyncJob",
+    "Removes a sync job, optionally together with its archived messages.",
+    deleteMessageSyncJobSchema,
+    async ({ channelId, deleteMessages, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const result = messageSyncService.deleteJob(channelId, { deleteMessages });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "purgeSyncedMessages",
+    "Deletes archived messages older than a date for one channel and keeps later syncs from fetching them again.",
+    purgeSyncedMessagesSchema,
+    async ({ channelId, before, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const result = messageSyncService.purgeMessages(channelId, { before });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "setMessageSyncSchedule",
+    "Sets how often an existing sync job is refreshed. Pass neither intervalMinutes nor cron to clear the schedule.",
+    setMessageSyncScheduleSchema,
+    async ({ channelId, intervalMinutes, cron, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const job = messageSyncService.setJobSchedule(channelId, {
+        intervalSeconds: intervalMinutes ? intervalMinutes * 60 : null,
+        cron,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(job, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "pauseMessageSyncSchedule",
+    "Stops periodic refreshes of a sync job while keeping its schedule.",
+    syncJobSchema,
+    async ({ channelId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const job = messageSyncService.pauseJobSchedule(channelId);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(job, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "resumeMessageSyncSchedule",
+    "Resumes periodic refreshes of a paused sync job.",
+    syncJobSchema,
+    async ({ channelId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const job = messageSyncService.resumeJobSchedule(channelId);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(job, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "searchSyncedMessages",
+    "Searches stored messages for a channel using a regular expression.",
+    searchSyncedMessagesSchema,
+    async ({ channelId, pattern, limit, caseInsensitive, cursor, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const paged = limit !== undefined || cursor !== undefined;
+      const pageSize = limit ?? 50;
+      const page = decodeCursor(cursor, "syncedSearch");
+      if (page && (String(page.channelId) !== String(channelId) || page.pattern !== pattern)) {
+        throw new Error("Cursor belongs to a different search");
+      }
+
+      const matches = messageSyncService.searchMessages({
+        channelId,
+        pattern,
+        limit: pageSize,
+        caseInsensitive,
+        beforeMessageId: page?.beforeMessageId ?? null,
+      });
+      const nextCursor = matches.length >= pageSize
+        ? encodeCursor("syncedSearch", {
+          channelId,
+          pattern,
+          beforeMessageId: matches[matches.length - 1].messageId,
+        })
+        : null;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(paged ? { matches, nextCursor } : matches, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "fullTextSearchMessages",
+    "Runs a ranked full-text search over stored messages for a channel, returning highlighted snippets.",
+    fullTextSearchMessagesSchema,
+    async ({ channelId, query, mode, limit, caseInsensitive, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const results = mode === "regex"
+        ? messageSyncService.searchMessages({
+          channelId,
+          pattern: query,
+          limit,
+          caseInsensitive,
+        })
+        : messageSyncService.searchMessagesFullText({
+          channelId,
+          query,
+          limit,
+        });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(results, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "searchAllSyncedMessages",
+    "Searches the whole local archive across channels, filtered by channel list, peer type and date range.",
+    searchAllSyncedMessagesSchema,
+    async ({ account, ...args }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const results = messageSyncService.searchArchive(args);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(results, null, 2),
+          },
+        ],
+      };
+    },
+  );
 
   server.tool(
-    "listChannels",
-    "Lists available Telegram dialogs for the authenticated account.",
-    listChannelsSchema,
-    async ({ limit }) => {
-      await telegramClient.ensureLogin();
-      const dialogs = await telegramClient.listDialogs(limit ?? 50);
+    "getSyncedMessageStats",
+    "Returns summary statistics for stored messages in a channel.",
+    {
+      channelId: z
+        .union([
+          z.number({ invalid_type_error: "channelId must be a number" }),
+          z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+        ])
+        .describe("Numeric channel ID or username"),
+      ...accountSchema,
+    },
+    async ({ channelId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const stats = messageSyncService.getMessageStats(channelId);
 
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(dialogs, null, 2),
+            text: JSON.stringify(stats, null, 2),
           },
         ],
       };
@@ -141,18 +1881,31 @@ function createServerInstance() {
   );
 
   server.tool(
-    "searchChannels",
-    "Searches dialogs by title or username.",
-    searchChannelsSchema,
-    async ({ keywords, limit }) => {
-      await telegramClient.ensureLogin();
-      const matches = await telegramClient.searchDialogs(keywords, limit ?? 100);
+    "getMessageEditHistory",
+    "Returns the archived edit history and deletion marker of a stored message.",
+    {
+      channelId: z
+        .union([
+          z.number({ invalid_type_error: "channelId must be a number" }),
+          z.string({ invalid_type_error: "channelId must be a string" }).min(1),
+        ])
+        .describe("Numeric channel ID or username"),
+      messageId: z
+        .number({ invalid_type_error: "messageId must be a number" })
+        .int()
+        .positive()
+        .describe("Message ID within the channel"),
+      ...accountSchema,
+    },
+    async ({ channelId, messageId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const history = messageSyncService.getMessageHistory(channelId, messageId);
 
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(matches, null, 2),
+            text: JSON.stringify(history, null, 2),
           },
         ],
       };
@@ -160,47 +1913,63 @@ function createServerInstance() {
   );
 
   server.tool(
-    "getChannelMessages",
-    "Retrieves recent messages for a channel by numeric ID or username.",
-    getChannelMessagesSchema,
-    async ({ channelId, limit, filterPattern }) => {
-      await telegramClient.ensureLogin();
+    "exportSyncedMessages",
+    "Writes a channel's archived messages to a file under the account's exports directory and returns its path.",
+    exportSyncedMessagesSchema,
+    async ({ channelId, format, since, until, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const result = await messageSyncService.exportMessages(channelId, { format, since, until });
 
-      const { peerTitle, messages } = await telegramClient.getMessagesByChannelId(
-        channelId,
-        limit ?? 100,
-      );
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
 
-      let formatted = messages.map((msg) => ({
-        id: msg.id,
-        date: msg.date ? new Date(msg.date * 1000).toISOString() : "unknown",
-        text: msg.text ?? msg.message ?? "",
-        from_id: msg.from_id ?? "unknown",
-      }));
+  server.tool(
+    "getChannelAnalytics",
+    "Analyses archived channels over a date range: messages per day or week, top posters with names, an hour-by-weekday heatmap, average message length and link/media ratios, per channel and combined.",
+    getChannelAnalyticsSchema,
+    async ({ channelIds, since, until, interval, topPosters, utcOffsetMinutes, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const analytics = messageSyncService.getChannelAnalytics({
+        channelIds,
+        since,
+        until,
+        interval,
+        topPosters,
+        utcOffsetMinutes,
+      });
 
-      if (filterPattern) {
-        try {
-          const regex = new RegExp(filterPattern);
-          formatted = formatted.filter((msg) => msg.text && regex.test(msg.text));
-        } catch (error) {
-          throw new Error(`Invalid filterPattern: ${error.message}`);
-        }
-      }
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(analytics, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "addWatchRule",
+    "Adds a persistent keyword or regex watch rule. Newly archived messages that match are recorded as hits and announced as logging notifications (and to the webhook, if configured).",
+    addWatchRuleSchema,
+    async ({ pattern, mode, caseInsensitive, channelIds, fromIds, name, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const rule = messageSyncService.watchRules.addRule({ pattern, mode, caseInsensitive, channelIds, fromIds, name });
 
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(
-              {
-                peerTitle,
-                totalFetched: messages.length,
-                returned: formatted.length,
-                messages: formatted,
-              },
-              null,
-              2,
-            ),
+            text: JSON.stringify(rule, null, 2),
           },
         ],
       };
@@ -208,19 +1977,18 @@ function createServerInstance() {
   );
 
   server.tool(
-    "scheduleMessageSync",
-    "Schedules a background job to archive channel messages locally.",
-    scheduleMessageSyncSchema,
-    async ({ channelId, depth }) => {
-      await telegramClient.ensureLogin();
-      const job = messageSyncService.addJob(channelId, { depth });
-      void messageSyncService.processQueue();
+    "listWatchRules",
+    "Lists the watch rules of an account with their hit counts.",
+    accountSchema,
+    async ({ account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const rules = messageSyncService.watchRules.listRules();
 
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(job, null, 2),
+            text: JSON.stringify(rules, null, 2),
           },
         ],
       };
@@ -228,22 +1996,47 @@ function createServerInstance() {
   );
 
   server.tool(
-    "searchSyncedMessages",
-    "Searches stored messages for a channel using a regular expression.",
-    searchSyncedMessagesSchema,
-    async ({ channelId, pattern, limit, caseInsensitive }) => {
-      const results = messageSyncService.searchMessages({
+    "deleteWatchRule",
+    "Deletes a watch rule together with its recorded hits.",
+    watchRuleSchema,
+    async ({ ruleId, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const result = messageSyncService.watchRules.deleteRule(ruleId);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    },
+  );
+
+  server.tool(
+    "getWatchHits",
+    "Lists recorded watch rule hits, newest first, optionally for one rule or channel.",
+    getWatchHitsSchema,
+    async ({ ruleId, channelId, limit, cursor, account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const pageSize = limit ?? 50;
+      const page = decodeCursor(cursor, "watchHits");
+      const hits = messageSyncService.watchRules.listHits({
+        ruleId,
         channelId,
-        pattern,
-        limit,
-        caseInsensitive,
+        limit: pageSize,
+        beforeId: page?.beforeId ?? null,
       });
+      const nextCursor = hits.length >= pageSize
+        ? encodeCursor("watchHits", { beforeId: hits[hits.length - 1].id })
+        : null;
 
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(results, null, 2),
+            text: JSON.stringify({ hits, nextCursor }, null, 2),
           },
         ],
       };
@@ -251,24 +2044,81 @@ function createServerInstance() {
   );
 
   server.tool(
-    "getSyncedMessageStats",
-    "Returns summary statistics for stored messages in a channel.",
-    {
-      channelId: z
-        .union([
-          z.number({ invalid_type_error: "channelId must be a number" }),
-          z.string({ invalid_type_error: "channelId must be a string" }).min(1),
-        ])
-        .describe("Numeric channel ID or username"),
+    "getChannelDigest",
+    "Summarises a time window of a channel's archive (default: today, UTC) through the client's model via MCP sampling. Returns a digest with [#messageId] citations plus per-chunk summaries, cached per channel and window.",
+    getChannelDigestSchema,
+    async ({ channelId, since, until, maxMessages = 1000, refresh, account }, extra) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
+      const window = messageSyncService.getDigestWindow(channelId, { since, until, limit: maxMessages });
+      let digest = refresh ? null : window.cached;
+
+      if (!digest) {
+        const messages = messageSyncService
+          .getArchivedMessages(window.channelId, { since: window.since, until: window.until, limit: maxMessages })
+          .filter((message) => !message.deletedAt);
+        if (!messages.length) {
+          throw new Error(`No archived messages for ${channelId} between ${window.since} and ${window.until ?? "now"}`);
+        }
+        if (!server.server.getClientCapabilities()?.sampling) {
+          throw new Error("getChannelDigest needs an MCP client that supports sampling (sampling/createMessage)");
+        }
+
+        const progressToken = extra._meta?.progressToken;
+        const result = await buildDigest(messages, {
+          title: window.peerTitle,
+          sample: (request) => sampleText(extra, request),
+          onProgress: (done, total) => {
+            if (progressToken !== undefined) {
+              void extra.sendNotification({
+                method: "notifications/progress",
+                params: { progressToken, progress: done, total, message: `Summarised ${done} of ${total} chunks` },
+              }).catch(() => {});
+            }
+          },
+        });
+        digest = {
+          ...result,
+          messageCount: messages.length,
+          truncated: window.totalMessages > maxMessages,
+          generatedAt: new Date().toISOString(),
+        };
+        messageSyncService.saveDigest(window, digest);
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              channelId: window.channelId,
+              peerTitle: window.peerTitle,
+              since: window.since,
+              until: window.until,
+              cached: digest === window.cached,
+              ...digest,
+            }, null, 2),
+          },
+        ],
+      };
     },
-    async ({ channelId }) => {
-      const stats = messageSyncService.getMessageStats(channelId);
+  );
+
+  server.tool(
+    "importTelegramExport",
+    "Imports a Telegram Desktop JSON export into the archive. Already archived messages are kept, and the chat's sync job continues from the newest imported message.",
+    importTelegramExportSchema,
+    async ({ path: filePath, chatId, account }) => {
+      const { syncService: messageSyncService, ready } = accountRegistry.get(account);
+      const result = await messageSyncService.importDesktopExport(messageSyncService.resolveImportPath(filePath), { chatId });
+      if (ready) {
+        void messageSyncService.processQueue();
+      }
 
       return {
         content: [
           {
             type: "text",
-            text: JSON.stringify(stats, null, 2),
+            text: JSON.stringify(result, null, 2),
           },
         ],
       };
@@ -278,8 +2128,9 @@ function createServerInstance() {
   server.tool(
     "listMessageSyncJobs",
     "Lists tracked message sync jobs and their current status.",
-    {},
-    async () => {
+    accountSchema,
+    async ({ account }) => {
+      const { syncService: messageSyncService } = accountRegistry.get(account);
       const jobs = messageSyncService.listJobs();
 
       return {
@@ -296,12 +2147,81 @@ function createServerInstance() {
   return server;
 }
 
+function authenticateRequest(req, res) {
+  if (!apiKeyAuth.enabled) {
+    return true;
+  }
+
+  const authInfo = apiKeyAuth.authenticate(req.headers.authorization);
+  if (authInfo) {
+    req.auth = authInfo;
+    return true;
+  }
+
+  const challenge = RESOURCE_METADATA_ENABLED
+    ? `Bearer resource_metadata="${PUBLIC_URL}${RESOURCE_METADATA_PATH}"`
+    : 'Bearer realm="telegram-mcp"';
+  res.writeHead(401, { "Content-Type": "application/json", "WWW-Authenticate": challenge }).end(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      error: {
+        code: -32000,
+        message: "Unauthorized: missing or invalid bearer token",
+      },
+      id: null,
+    }),
+  );
+  return false;
+}
+
+// A session can only be used with the API key that opened it.
+function ownsSession(record, req) {
+  return record.clientId === (req.auth?.clientId ?? null);
+}
+
+// Tool calls need the tool's scope; reading or subscribing to resources needs the read scope.
+function requiredScopeFor(message) {
+  if (message?.method === "tools/call") {
+    return apiKeyAuth.requiredScope(message.params?.name);
+  }
+  if (typeof message?.method === "string" && message.method.startsWith("resources/")) {
+    return "read";
+  }
+  return null;
+}
+
+function findDeniedRequest(body, authInfo) {
+  if (!authInfo) {
+    return null;
+  }
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.find((message) => {
+    const scope = requiredScopeFor(message);
+    return scope !== null && !authInfo.scopes.includes(scope);
+  }) ?? null;
+}
+
+function resourceMetadata() {
+  const authorizationServers = (process.env.MCP_AUTHORIZATION_SERVERS ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  return {
+    resource: `${PUBLIC_URL}/mcp`,
+    authorization_servers: authorizationServers,
+    bearer_methods_supported: ["header"],
+    scopes_supported: SCOPES,
+    resource_name: "Telegram MCP server",
+  };
+}
+
 async function ensureSession(req, res, body) {
   const sessionId = req.headers["mcp-session-id"];
 
   if (sessionId && typeof sessionId === "string") {
     const existing = sessions.get(sessionId);
-    if (existing) {
+    if (existing && ownsSession(existing, req)) {
       return existing;
     }
 
@@ -332,7 +2252,7 @@ async function ensureSession(req, res, body) {
     return null;
   }
 
-  const record = { server: null, transport: null, sessionId: null };
+  const record = { server: null, transport: null, sessionId: null, clientId: req.auth?.clientId ?? null };
 
   const transport = new StreamableHTTPServerTransport({
     sessionIdGenerator: () => randomUUID(),
@@ -348,6 +2268,9 @@ async function ensureSession(req, res, body) {
         });
       }
       sessions.delete(sessionId);
+      writePolicy.forgetSession(sessionId);
+      forgetJobWatcher(sessionId);
+      resourceSubscriptions.delete(sessionId);
     },
   });
 
@@ -360,6 +2283,9 @@ async function ensureSession(req, res, body) {
   transport.onclose = () => {
     if (record.sessionId) {
       sessions.delete(record.sessionId);
+      writePolicy.forgetSession(record.sessionId);
+      forgetJobWatcher(record.sessionId);
+      resourceSubscriptions.delete(record.sessionId);
     }
     void record.server?.close().catch((error) => {
       console.error(`[server] error closing transport session: ${error.message}`);
@@ -398,6 +2324,22 @@ async function handlePost(req, res) {
     return;
   }
 
+  const denied = findDeniedRequest(body, req.auth);
+  if (denied) {
+    const target = denied.method === "tools/call" ? denied.params?.name : denied.method;
+    res.writeHead(403, { "Content-Type": "application/json" }).end(
+      JSON.stringify({
+        jsonrpc: "2.0",
+        error: {
+          code: -32003,
+          message: `API key "${req.auth.clientId}" lacks the "${requiredScopeFor(denied)}" scope required by ${target}`,
+        },
+        id: denied.id ?? null,
+      }),
+    );
+    return;
+  }
+
   try {
     await sessionRecord.transport.handleRequest(req, res, body);
   } catch (error) {
@@ -434,7 +2376,7 @@ async function handleSessionRequest(req, res) {
   }
 
   const record = sessions.get(sessionIdHeader);
-  if (!record) {
+  if (!record || !ownsSession(record, req)) {
     res.writeHead(404, { "Content-Type": "application/json" }).end(
       JSON.stringify({
         jsonrpc: "2.0",
@@ -451,94 +2393,145 @@ async function handleSessionRequest(req, res) {
   await record.transport.handleRequest(req, res);
 }
 
-await initializeTelegram().catch((error) => {
-  console.error(`[startup] Telegram initialization failed: ${error?.message ?? error}`);
-  process.exit(1);
-});
+// One failing account must not take the others down. It stays not ready and is initialized again after its next login.
+for (const account of accountRegistry.list()) {
+  await initializeAccount(account).catch((error) => {
+    console.error(`[startup] Telegram initialization failed for account "${account.name}", continuing without it: ${error?.message ?? error}`);
+  });
+}
 
-const server = http.createServer(async (req, res) => {
-  try {
-    const url = new URL(req.url ?? "", `http://${req.headers.host ?? `${HOST}:${PORT}`}`);
+function startHttpServer() {
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url ?? "", `http://${req.headers.host ?? `${HOST}:${PORT}`}`);
 
-    if (req.method === "OPTIONS") {
-      res.writeHead(204).end();
-      return;
-    }
+      if (req.method === "OPTIONS") {
+        res.writeHead(204).end();
+        return;
+      }
 
-    if (req.method === "GET" && url.pathname === "/health") {
-      res.writeHead(200, { "Content-Type": "application/json" }).end(
-        JSON.stringify({ status: "ok" }),
-      );
-      return;
-    }
+      if (req.method === "GET" && url.pathname === "/health") {
+        res.writeHead(200, { "Content-Type": "application/json" }).end(
+          JSON.stringify({ status: "ok" }),
+        );
+        return;
+      }
 
-    if (req.method === "POST" && url.pathname === "/mcp") {
-      await handlePost(req, res);
-      return;
-    }
+      if (
+        req.method === "GET" &&
+        RESOURCE_METADATA_ENABLED &&
+        (url.pathname === RESOURCE_METADATA_PATH || url.pathname === `${RESOURCE_METADATA_PATH}/mcp`)
+      ) {
+        res.writeHead(200, { "Content-Type": "application/json" }).end(
+          JSON.stringify(resourceMetadata()),
+        );
+        return;
+      }
 
-    if ((req.method === "GET" || req.method === "DELETE") && url.pathname === "/mcp") {
-      await handleSessionRequest(req, res);
-      return;
-    }
+      if (url.pathname === "/mcp" && !authenticateRequest(req, res)) {
+        return;
+      }
 
-    if (req.method === "POST") {
-      res.writeHead(404, { "Content-Type": "application/json" }).end(
-        JSON.stringify({
-          jsonrpc: "2.0",
-          error: {
-            code: -32601,
-            message: "Endpoint not found",
-          },
-          id: null,
-        }),
-      );
-      return;
+      if (req.method === "POST" && url.pathname === "/mcp") {
+        await handlePost(req, res);
+        return;
+      }
+
+      if ((req.method === "GET" || req.method === "DELETE") && url.pathname === "/mcp") {
+        await handleSessionRequest(req, res);
+        return;
+      }
+
+      if (req.method === "POST") {
+        res.writeHead(404, { "Content-Type": "application/json" }).end(
+          JSON.stringify({
+            jsonrpc: "2.0",
+            error: {
+              code: -32601,
+              message: "Endpoint not found",
+            },
+            id: null,
+          }),
+        );
+        return;
+      }
+
+      res.writeHead(405, { Allow: "GET, POST, DELETE" }).end();
+    } catch (error) {
+      console.error(`[http] unexpected error: ${error?.message ?? error}`);
+      if (!res.headersSent) {
+        res.writeHead(500, { "Content-Type": "application/json" }).end(
+          JSON.stringify({
+            jsonrpc: "2.0",
+            error: {
+              code: -32603,
+              message: "Internal server error",
+            },
+            id: null,
+          }),
+        );
+      }
     }
+  });
 
-    res.writeHead(405, { Allow: "GET, POST, DELETE" }).end();
-  } catch (error) {
-    console.error(`[http] unexpected error: ${error?.message ?? error}`);
-    if (!res.headersSent) {
-      res.writeHead(500, { "Content-Type": "application/json" }).end(
-        JSON.stringify({
-          jsonrpc: "2.0",
-          error: {
-            code: -32603,
-            message: "Internal server error",
-          },
-          id: null,
-        }),
-      );
+  server.listen(PORT, HOST, () => {
+    console.log(`[startup] MCP HTTP server listening on http://${HOST}:${PORT}/mcp`);
+    if (apiKeyAuth.enabled) {
+      console.log(`[auth] bearer-token authentication enabled for ${apiKeyAuth.keys.length} API key(s)`);
+    } else {
+      console.warn("[auth] no API keys configured; /mcp accepts unauthenticated requests");
     }
-  }
-});
+  });
 
-server.listen(PORT, HOST, () => {
-  console.log(`[startup] MCP HTTP server listening on http://${HOST}:${PORT}/mcp`);
-});
+  server.on("error", (error) => {
+    console.error(`[http] server error: ${error.message}`);
+  });
 
-server.on("error", (error) => {
-  console.error(`[http] server error: ${error.message}`);
-});
+  return server;
+}
+
+async function startStdioServer() {
+  const serverInstance = createServerInstance();
+  const transport = new StdioServerTransport();
+  sessions.set(STDIO_SESSION_ID, { server: serverInstance, transport, sessionId: STDIO_SESSION_ID });
+
+  await serverInstance.connect(transport);
+  process.stdin.on("end", () => {
+    void shutdown().finally(() => process.exit(0));
+  });
+  console.log("[startup] MCP server running over stdio");
+}
+
+const httpServer = USE_STDIO ? null : startHttpServer();
+if (USE_STDIO) {
+  await startStdioServer();
+}
 
 async function shutdown() {
   console.log("[shutdown] received termination signal, closing resources...");
-  server.closeAllConnections?.();
-  server.close(() => {
-    console.log("[shutdown] HTTP server closed");
-  });
+  if (httpServer) {
+    httpServer.closeAllConnections?.();
+    httpServer.close(() => {
+      console.log("[shutdown] HTTP server closed");
+    });
+  }
 
-  try {
-    await messageSyncService.shutdown();
-  } catch (error) {
-    console.error(`[shutdown] error while stopping message sync: ${error?.message ?? error}`);
+  for (const account of accountRegistry.list()) {
+    try {
+      await account.syncService.shutdown();
+    } catch (error) {
+      console.error(`[shutdown] error while stopping message sync for account "${account.name}": ${error?.message ?? error}`);
+    }
   }
 
-  try {
-    await telegramClient.destroy();
-  } catch (error) {
-    console.error(`[shutdown] error while closing Telegram client: ${error?.message ?? error}`);
+  writePolicy.close();
+
+  for (const account of accountRegistry.list()) {
+    try {
+      await account.client.destroy();
+    } catch (error) {
+      console.error(`[shutdown] error while closing Telegram client for account "${account.name}": ${error?.message ?? error}`);
+    }
   }
 }
 
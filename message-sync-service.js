@@ -2,28 +2,196 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
 import { setTimeout as delay } from 'timers/promises';
+import { tl } from '@mtcute/node';
 import { normalizeChannelId } from './telegram-client.js';
+import { nextCronRun, parseCron } from './cron-schedule.js';
+import RateLimiter from './rate-limiter.js';
+import { EXPORT_FORMATS, writeArchiveExport } from './archive-export.js';
+import { readDesktopExport } from './archive-import.js';
+import WatchRules from './watch-rules.js';
 
 const DEFAULT_DB_PATH = './data/messages.db';
 const DEFAULT_TARGET_MESSAGES = 1000;
+const DEFAULT_SCHEDULER_INTERVAL_MS = 30_000;
+const DEFAULT_CONCURRENCY = 3;
+const EXPORT_PAGE_SIZE = 500;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const LINK_CONDITION = "(m.text LIKE '%http://%' OR m.text LIKE '%https://%' OR m.text LIKE '%t.me/%')";
 const JOB_STATUS = {
   PENDING: 'pending',
   IN_PROGRESS: 'in_progress',
   IDLE: 'idle',
   ERROR: 'error',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
 };
 
+class JobStoppedError extends Error {
+  constructor(jobId) {
+    super(`Sync job ${jobId} was stopped`);
+    this.name = 'JobStoppedError';
+  }
+}
+
+const MEDIA_COLUMNS = [
+  'media_type',
+  'media_mime_type',
+  'media_file_name',
+  'media_file_size',
+  'media_duration',
+  'media_width',
+  'media_height',
+  'media_local_path',
+  'media_sha256',
+];
+
+// Reply and forward details never change after a message is sent, so a re-fetched copy only fills them in.
+const LINK_COLUMNS = [
+  'reply_to_message_id',
+  'thread_id',
+  'topic_id',
+  'forward_from_id',
+  'forward_from_name',
+  'forward_from_chat_id',
+  'forward_from_message_id',
+  'forward_date',
+];
+
+function mediaFromRow(row) {
+  if (!row.media_type) {
+    return null;
+  }
+  return {
+    type: row.media_type,
+    mimeType: row.media_mime_type,
+    fileName: row.media_file_name,
+    fileSize: row.media_file_size,
+    duration: row.media_duration,
+    width: row.media_width,
+    height: row.media_height,
+    localPath: row.media_local_path,
+    sha256: row.media_sha256,
+  };
+}
+
+function forwardFromRow(row) {
+  if (!row.forward_date && !row.forward_from_id && !row.forward_from_name) {
+    return null;
+  }
+  return {
+    fromId: row.forward_from_id,
+    fromName: row.forward_from_name,
+    fromChatId: row.forward_from_chat_id,
+    fromMessageId: row.forward_from_message_id,
+    date: row.forward_date ? new Date(row.forward_date * 1000).toISOString() : null,
+  };
+}
+
+export function buildReplyTree(nodes) {
+  const byId = new Map(nodes.map((node) => [node.messageId, { ...node, replies: [] }]));
+  const roots = [];
+
+  for (const node of byId.values()) {
+    const parent = node.replyToMessageId !== node.messageId
+      ? byId.get(node.replyToMessageId)
+      : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+function isInsideDirectory(directory, target) {
+  const relative = path.relative(directory, target);
+  return Boolean(relative) && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+function toUnixSeconds(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${label} date: ${value}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function fromUnixSeconds(value) {
+  return value ? new Date(value * 1000).toISOString() : null;
+}
+
+function formatJobDates(job) {
+  if (!job) {
+    return job;
+  }
+  return {
+    ...job,
+    since_date: fromUnixSeconds(job.since_date),
+    until_date: fromUnixSeconds(job.until_date),
+    since_reached: Boolean(job.since_reached),
+    coverage_start: fromUnixSeconds(job.coverage_start),
+    coverage_end: fromUnixSeconds(job.coverage_end),
+    schedule_paused: Boolean(job.schedule_paused),
+    next_refresh_at: fromUnixSeconds(job.next_refresh_at),
+    next_run_at: fromUnixSeconds(job.next_run_at),
+  };
+}
+
+function floodWaitSeconds(error) {
+  if (tl.RpcError.is(error, 'FLOOD_WAIT_%d') || tl.RpcError.is(error, 'FLOOD_PREMIUM_WAIT_%d')) {
+    return error.seconds;
+  }
+  return null;
+}
+
+// Resolving a peer costs a username lookup, or a get* call for a marked ID whose peer is not cached;
+// that method's bucket is the one to charge.
+function peerLookupMethod(channelId) {
+  const ref = normalizeChannelId(channelId);
+  if (typeof ref === 'string') {
+    return 'contacts.resolveUsername';
+  }
+  if (ref > 0) {
+    return 'users.getUsers';
+  }
+  return ref <= -1000000000000 ? 'channels.getChannels' : 'messages.getChats';
+}
+
+function jobTargetCount(job) {
+  if (job.target_message_count) {
+    return job.target_message_count;
+  }
+  return job.since_date ? Infinity : DEFAULT_TARGET_MESSAGES;
+}
+
 export default class MessageSyncService {
   constructor(telegramClient, options = {}) {
     this.telegramClient = telegramClient;
     this.dbPath = path.resolve(options.dbPath || DEFAULT_DB_PATH);
     this.batchSize = options.batchSize || 100;
-    this.interJobDelayMs = options.interJobDelayMs || 3000;
-    this.interBatchDelayMs = options.interBatchDelayMs || 1000;
-    this.processing = false;
+    this.concurrency = options.concurrency > 0 ? Number(options.concurrency) : DEFAULT_CONCURRENCY;
+    this.rateLimiter = options.rateLimiter || new RateLimiter(options.rateLimits);
+    this.workerCount = 0;
+    this.wakeTimer = null;
     this.stopRequested = false;
+    this.unsubscribeUpdates = null;
+    this.schedulerIntervalMs = options.schedulerIntervalMs || DEFAULT_SCHEDULER_INTERVAL_MS;
+    this.schedulerTimer = null;
+    this.activeJobIds = new Set();
+    this.stoppedJobIds = new Set();
+    this.catchUpJobIds = new Set();
+    this.progressListeners = new Set();
+    this.archiveListeners = new Set();
+    this.passStarts = new Map();
 
     this._initDatabase();
+    this.watchRules = new WatchRules(this.db);
   }
 
   _initDatabase() {
@@ -39,6 +207,7 @@ export default class MessageSyncService {
       CREATE TABLE IF NOT EXISTS jobs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         channel_id TEXT NOT NULL UNIQUE,
+        peer_id TEXT,
         peer_title TEXT,
         peer_type TEXT,
         status TEXT NOT NULL DEFAULT '${JOB_STATUS.PENDING}',
@@ -46,6 +215,17 @@ export default class MessageSyncService {
         oldest_message_id INTEGER,
         target_message_count INTEGER DEFAULT ${DEFAULT_TARGET_MESSAGES},
         message_count INTEGER DEFAULT 0,
+        since_date INTEGER,
+        until_date INTEGER,
+        since_reached INTEGER DEFAULT 0,
+        coverage_start INTEGER,
+        coverage_end INTEGER,
+        refresh_interval_seconds INTEGER,
+        refresh_cron TEXT,
+        schedule_paused INTEGER DEFAULT 0,
+        next_refresh_at INTEGER,
+        next_run_at INTEGER,
+        priority INTEGER DEFAULT 0,
         last_synced_at TEXT,
         created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
         updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -56,6 +236,24 @@ export default class MessageSyncService {
     this._ensureJobColumn('oldest_message_id', 'INTEGER');
     this._ensureJobColumn('target_message_count', `INTEGER DEFAULT ${DEFAULT_TARGET_MESSAGES}`);
     this._ensureJobColumn('message_count', 'INTEGER DEFAULT 0');
+    this._ensureJobColumn('peer_id', 'TEXT');
+    this._ensureJobColumn('since_date', 'INTEGER');
+    this._ensureJobColumn('until_date', 'INTEGER');
+    this._ensureJobColumn('since_reached', 'INTEGER DEFAULT 0');
+    this._ensureJobColumn('coverage_start', 'INTEGER');
+    this._ensureJobColumn('coverage_end', 'INTEGER');
+    this._ensureJobColumn('refresh_interval_seconds', 'INTEGER');
+    this._ensureJobColumn('refresh_cron', 'TEXT');
+    this._ensureJobColumn('schedule_paused', 'INTEGER DEFAULT 0');
+    this._ensureJobColumn('next_refresh_at', 'INTEGER');
+    this._ensureJobColumn('next_run_at', 'INTEGER');
+    this._ensureJobColumn('priority', 'INTEGER DEFAULT 0');
+    // Earlier sync passes recorded resolved channels as 'chat'; their marked IDs say otherwise.
+    this.db.exec(`
+      UPDATE jobs
+      SET peer_type = 'channel'
+      WHERE peer_type = 'chat' AND peer_id GLOB '-[0-9]*' AND CAST(peer_id AS INTEGER) <= -1000000000000
+    `);
 
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS messages (
@@ -71,166 +269,1555 @@ export default class MessageSyncService {
       );
     `);
 
+    this._ensureMessageColumn('edit_date', 'INTEGER');
+    this._ensureMessageColumn('deleted_at', 'TEXT');
+    this._ensureMessageColumn('media_type', 'TEXT');
+    this._ensureMessageColumn('media_mime_type', 'TEXT');
+    this._ensureMessageColumn('media_file_name', 'TEXT');
+    this._ensureMessageColumn('media_file_size', 'INTEGER');
+    this._ensureMessageColumn('media_duration', 'INTEGER');
+    this._ensureMessageColumn('media_width', 'INTEGER');
+    this._ensureMessageColumn('media_height', 'INTEGER');
+    this._ensureMessageColumn('media_local_path', 'TEXT');
+    this._ensureMessageColumn('media_sha256', 'TEXT');
+    this._ensureMessageColumn('reply_to_message_id', 'INTEGER');
+    this._ensureMessageColumn('thread_id', 'INTEGER');
+    this._ensureMessageColumn('topic_id', 'INTEGER');
+    this._ensureMessageColumn('forward_from_id', 'TEXT');
+    this._ensureMessageColumn('forward_from_name', 'TEXT');
+    this._ensureMessageColumn('forward_from_chat_id', 'TEXT');
+    this._ensureMessageColumn('forward_from_message_id', 'INTEGER');
+    this._ensureMessageColumn('forward_date', 'INTEGER');
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_messages_reply_to
+        ON messages (channel_id, reply_to_message_id);
+      CREATE INDEX IF NOT EXISTS idx_messages_thread
+        ON messages (channel_id, thread_id);
+      CREATE INDEX IF NOT EXISTS idx_messages_topic
+        ON messages (channel_id, topic_id);
+    `);
+
+    this._ensureFullTextIndex();
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        peer_type TEXT,
+        display_name TEXT,
+        username TEXT,
+        is_bot INTEGER NOT NULL DEFAULT 0,
+        last_online INTEGER,
+        updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_users_username ON users (lower(username));
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS message_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        text TEXT,
+        edit_date INTEGER,
+        recorded_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_message_revisions_message
+        ON message_revisions (channel_id, message_id);
+
+      CREATE TRIGGER IF NOT EXISTS messages_revisions_au AFTER UPDATE OF text ON messages
+      WHEN old.text IS NOT new.text
+      BEGIN
+        INSERT INTO message_revisions (channel_id, message_id, text, edit_date)
+        SELECT old.channel_id, old.message_id, old.text, COALESCE(old.edit_date, old.date)
+        WHERE NOT EXISTS (
+          SELECT 1 FROM message_revisions
+          WHERE channel_id = old.channel_id AND message_id = old.message_id
+        );
+        INSERT INTO message_revisions (channel_id, message_id, text, edit_date)
+        VALUES (new.channel_id, new.message_id, new.text, new.edit_date);
+      END;
+
+      CREATE TABLE IF NOT EXISTS digests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel_id TEXT NOT NULL,
+        since_date INTEGER NOT NULL,
+        until_date INTEGER NOT NULL DEFAULT 0,
+        fingerprint TEXT NOT NULL,
+        digest_json TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(channel_id, since_date, until_date)
+      );
+    `);
+
     this.insertMessageStmt = this.db.prepare(`
-      INSERT OR IGNORE INTO messages (channel_id, message_id, date, from_id, text, raw_json)
-      VALUES (@channel_id, @message_id, @date, @from_id, @text, @raw_json)
+      INSERT INTO messages (
+        channel_id, message_id, date, edit_date, from_id, text, raw_json,
+        media_type, media_mime_type, media_file_name, media_file_size,
+        media_duration, media_width, media_height,
+        reply_to_message_id, thread_id, topic_id,
+        forward_from_id, forward_from_name, forward_from_chat_id, forward_from_message_id, forward_date
+      )
+      VALUES (
+        @channel_id, @message_id, @date, @edit_date, @from_id, @text, @raw_json,
+        @media_type, @media_mime_type, @media_file_name, @media_file_size,
+        @media_duration, @media_width, @media_height,
+        @reply_to_message_id, @thread_id, @topic_id,
+        @forward_from_id, @forward_from_name, @forward_from_chat_id, @forward_from_message_id, @forward_date
+      )
+      ON CONFLICT(channel_id, message_id) DO UPDATE SET
+        edit_date = excluded.edit_date,
+        from_id = excluded.from_id,
+        text = excluded.text,
+        raw_json = excluded.raw_json,
+        media_type = excluded.media_type,
+        media_mime_type = excluded.media_mime_type,
+        media_file_name = excluded.media_file_name,
+        media_file_size = excluded.media_file_size,
+        media_duration = excluded.media_duration,
+        media_width = excluded.media_width,
+        media_height = excluded.media_height,
+        ${LINK_COLUMNS.map((column) => `${column} = COALESCE(excluded.${column}, messages.${column})`).join(',\n        ')}
+      WHERE excluded.text IS NOT messages.text
+         OR COALESCE(excluded.edit_date, 0) > COALESCE(messages.edit_date, 0)
+         ${LINK_COLUMNS.map((column) => `OR (messages.${column} IS NULL AND excluded.${column} IS NOT NULL)`).join('\n         ')}
+    `);
+
+    // Imported rows never overwrite what the sync already archived.
+    this.importMessageStmt = this.db.prepare(`
+      INSERT INTO messages (
+        channel_id, message_id, date, edit_date, from_id, text, raw_json,
+        media_type, media_mime_type, media_file_name, media_file_size,
+        media_duration, media_width, media_height, media_local_path,
+        reply_to_message_id, thread_id, topic_id,
+        forward_from_id, forward_from_name, forward_from_chat_id, forward_from_message_id, forward_date
+      )
+      VALUES (
+        @channel_id, @message_id, @date, @edit_date, @from_id, @text, @raw_json,
+        @media_type, @media_mime_type, @media_file_name, @media_file_size,
+        @media_duration, @media_width, @media_height, @media_local_path,
+        @reply_to_message_id, @thread_id, @topic_id,
+        @forward_from_id, @forward_from_name, @forward_from_chat_id, @forward_from_message_id, @forward_date
+      )
+      ON CONFLICT(channel_id, message_id) DO NOTHING
+    `);
+
+    this.upsertUserStmt = this.db.prepare(`
+      INSERT INTO users (id, peer_type, display_name, username, is_bot, last_online, updated_at)
+      VALUES (@id, @type, @displayName, @username, @isBot, @lastOnline, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO UPDATE SET
+        peer_type = excluded.peer_type,
+        display_name = COALESCE(excluded.display_name, users.display_name),
+        username = excluded.username,
+        is_bot = excluded.is_bot,
+        last_online = COALESCE(excluded.last_online, users.last_online),
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    this.upsertUsersTx = this.db.transaction((peers) => {
+      for (const peer of peers) {
+        this.upsertUserStmt.run({ ...peer, isBot: peer.isBot ? 1 : 0 });
+      }
+    });
+
+    this.insertMessagesTx = this.db.transaction((records) => {
+      for (const record of records) {
+        this.insertMessageStmt.run(record);
+      }
+    });
+  }
+
+  _ensureFullTextIndex() {
+    const exists = this.db.prepare(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name = 'messages_fts'
+    `).get();
+
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+        text,
+        content='messages',
+        content_rowid='id',
+        tokenize='unicode61 remove_diacritics 2'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS messages_fts_ai AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts(rowid, text) VALUES (new.id, new.text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS messages_fts_ad AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS messages_fts_au AFTER UPDATE OF text ON messages BEGIN
+        INSERT INTO messages_fts(messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+        INSERT INTO messages_fts(rowid, text) VALUES (new.id, new.text);
+      END;
+    `);
+
+    if (!exists) {
+      this.db.exec(`INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')`);
+    }
+  }
+
+  _ensureJobColumn(column, definition) {
+    this._ensureColumn('jobs', column, definition);
+  }
+
+  _ensureMessageColumn(column, definition) {
+    this._ensureColumn('messages', column, definition);
+  }
+
+  _ensureColumn(table, column, definition) {
+    const existing = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!existing.some((col) => col.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  addJob(channelId, options = {}) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const sinceDate = toUnixSeconds(options.since, 'since');
+    const untilDate = toUnixSeconds(options.until, 'until');
+    if (sinceDate !== null && untilDate !== null && sinceDate > untilDate) {
+      throw new Error('since must be earlier than until');
+    }
+
+    // A date window without an explicit depth is bounded by dates alone.
+    let target = DEFAULT_TARGET_MESSAGES;
+    if (options.depth && options.depth > 0) {
+      target = Number(options.depth);
+    } else if (sinceDate !== null) {
+      target = null;
+    }
+
+    const priority = Number.isInteger(options.priority) ? options.priority : null;
+
+    const stmt = this.db.prepare(`
+      INSERT INTO jobs (channel_id, status, error, target_message_count, since_date, until_date, since_reached, priority, updated_at)
+      VALUES (@channelId, '${JOB_STATUS.PENDING}', NULL, @target, @sinceDate, @untilDate, 0, COALESCE(@priority, 0), CURRENT_TIMESTAMP)
+      ON CONFLICT(channel_id) DO UPDATE SET
+        status='${JOB_STATUS.PENDING}',
+        error=NULL,
+        target_message_count=@target,
+        since_date=@sinceDate,
+        until_date=@untilDate,
+        since_reached=0,
+        priority=COALESCE(@priority, priority),
+        updated_at=CURRENT_TIMESTAMP
+      RETURNING *;
     `);
 
-    this.insertMessagesTx = this.db.transaction((records) => {
-      for (const record of records) {
-        this.insertMessageStmt.run(record);
-      }
+    return formatJobDates(stmt.get({ channelId: normalizedId, target, sinceDate, untilDate, priority }));
+  }
+
+  listJobs() {
+    return this.db.prepare(`
+      SELECT id, channel_id, peer_id, peer_title, peer_type, status, priority, last_message_id, oldest_message_id, target_message_count, message_count,
+        since_date, until_date, since_reached, coverage_start, coverage_end,
+        refresh_interval_seconds, refresh_cron, schedule_paused, next_refresh_at, next_run_at,
+        last_synced_at, created_at, updated_at, error
+      FROM jobs
+      ORDER BY updated_at DESC
+    `).all().map(formatJobDates);
+  }
+
+  onProgress(listener) {
+    this.progressListeners.add(listener);
+    return () => {
+      this.progressListeners.delete(listener);
+    };
+  }
+
+  // Notified with { channelId, peerId } whenever archived messages of a channel are added, changed or removed.
+  onArchiveChange(listener) {
+    this.archiveListeners.add(listener);
+    return () => {
+      this.archiveListeners.delete(listener);
+    };
+  }
+
+  get processing() {
+    return this.workerCount > 0;
+  }
+
+  async processQueue() {
+    if (this.stopRequested) {
+      return;
+    }
+
+    // Workers with nothing to do exit synchronously, so size the pool up front.
+    const idleSlots = this.concurrency - this.workerCount;
+    const workers = [];
+    for (let i = 0; i < idleSlots; i += 1) {
+      this.workerCount += 1;
+      workers.push(this._runWorker());
+    }
+    await Promise.all(workers);
+  }
+
+  async _runWorker() {
+    try {
+      while (!this.stopRequested) {
+        const job = this._getNextJob();
+        if (!job) {
+          break;
+        }
+        await this._processJob(job);
+      }
+    } finally {
+      this.workerCount -= 1;
+      if (!this.workerCount) {
+        this._scheduleWake();
+      }
+    }
+  }
+
+  // Jobs held back by a flood wait have a next_run_at; wake the queue once the earliest one is due.
+  _scheduleWake() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+    if (this.stopRequested || !this.db.open) {
+      return;
+    }
+
+    const { nextRunAt } = this.db.prepare(`
+      SELECT MIN(next_run_at) AS nextRunAt FROM jobs
+      WHERE status IN ('${JOB_STATUS.PENDING}', '${JOB_STATUS.IN_PROGRESS}')
+        AND next_run_at IS NOT NULL
+    `).get();
+    if (!nextRunAt) {
+      return;
+    }
+
+    const waitMs = Math.max(0, nextRunAt * 1000 - Date.now());
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      void this.processQueue();
+    }, waitMs);
+    this.wakeTimer.unref?.();
+  }
+
+  resumePendingJobs() {
+    void this.processQueue();
+  }
+
+  cancelJob(channelId) {
+    const job = this._requireJob(channelId);
+    if (job.status !== JOB_STATUS.IN_PROGRESS && job.status !== JOB_STATUS.PENDING) {
+      throw new Error(`Sync job for ${channelId} is not running (status: ${job.status})`);
+    }
+    this._updateJobStatus(job.id, JOB_STATUS.CANCELLED);
+    // A running pass reports its final progress when it stops; a pending job has to be reported here.
+    if (!this._stopActiveJob(job.id)) {
+      this._emitProgress(job.id);
+    }
+    return this._getJobView(job.id);
+  }
+
+  pauseJob(channelId) {
+    const job = this._requireJob(channelId);
+    this._updateJobStatus(job.id, JOB_STATUS.PAUSED);
+    if (!this._stopActiveJob(job.id)) {
+      this._emitProgress(job.id);
+    }
+    return this._getJobView(job.id);
+  }
+
+  resumeJob(channelId) {
+    const job = this._requireJob(channelId);
+    if (![JOB_STATUS.PAUSED, JOB_STATUS.CANCELLED, JOB_STATUS.ERROR].includes(job.status)) {
+      throw new Error(`Sync job for ${channelId} is not paused, cancelled or failed (status: ${job.status})`);
+    }
+    this._updateJobStatus(job.id, JOB_STATUS.PENDING);
+    void this.processQueue();
+    return this._getJobView(job.id);
+  }
+
+  deleteJob(channelId, { deleteMessages = false } = {}) {
+    const job = this._requireJob(channelId);
+    this._stopActiveJob(job.id);
+    // The row is gone once the pass stops, so the final event is built now.
+    const finalEvent = this.progressListeners.size
+      ? { ...this._buildProgressEvent(job), status: 'deleted', etaSeconds: null, deleted: true, done: true }
+      : null;
+
+    const removeJob = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM jobs WHERE id = ?').run(job.id);
+      if (!deleteMessages) {
+        return 0;
+      }
+      this.db.prepare('DELETE FROM message_revisions WHERE channel_id = ?').run(job.channel_id);
+      this.db.prepare('DELETE FROM digests WHERE channel_id = ?').run(job.channel_id);
+      return this.db.prepare('DELETE FROM messages WHERE channel_id = ?').run(job.channel_id).changes;
+    });
+
+    const deletedMessages = removeJob();
+    this.catchUpJobIds.delete(job.id);
+    if (finalEvent) {
+      this._notifyProgressListeners(finalEvent);
+    }
+    return {
+      channelId: job.channel_id,
+      deletedJob: true,
+      deletedMessages,
+    };
+  }
+
+  purgeMessages(channelId, { before }) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const beforeSeconds = toUnixSeconds(before, 'before');
+    if (beforeSeconds === null) {
+      throw new Error('before is required');
+    }
+
+    const purge = this.db.transaction(() => {
+      const { changes } = this.db.prepare(`
+        DELETE FROM messages
+        WHERE channel_id = ? AND date < ?
+      `).run(normalizedId, beforeSeconds);
+      this.db.prepare(`
+        DELETE FROM message_revisions
+        WHERE channel_id = @channelId
+          AND message_id NOT IN (SELECT message_id FROM messages WHERE channel_id = @channelId)
+      `).run({ channelId: normalizedId });
+
+      // Raise the job's lower date bound so later backfills don't fetch the purged range again.
+      this.db.prepare(`
+        UPDATE jobs
+        SET since_date = MAX(COALESCE(since_date, 0), @before),
+            since_reached = 1,
+            oldest_message_id = (SELECT MIN(message_id) FROM messages WHERE channel_id = jobs.channel_id),
+            message_count = (SELECT COUNT(*) FROM messages WHERE channel_id = jobs.channel_id),
+            coverage_start = (SELECT MIN(date) FROM messages WHERE channel_id = jobs.channel_id),
+            coverage_end = (SELECT MAX(date) FROM messages WHERE channel_id = jobs.channel_id),
+            status = CASE WHEN status = '${JOB_STATUS.IN_PROGRESS}' THEN '${JOB_STATUS.PENDING}' ELSE status END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE channel_id = @channelId
+      `).run({ channelId: normalizedId, before: beforeSeconds });
+
+      return changes;
+    });
+
+    const purgedMessages = purge();
+    const job = this.db.prepare('SELECT id, channel_id, peer_id FROM jobs WHERE channel_id = ?').get(normalizedId);
+    if (job && this._stopActiveJob(job.id)) {
+      void this.processQueue();
+    }
+    if (job && purgedMessages) {
+      this._emitArchiveChange(job);
+    }
+
+    return {
+      channelId: normalizedId,
+      before: fromUnixSeconds(beforeSeconds),
+      purgedMessages,
+    };
+  }
+
+  setJobSchedule(channelId, { intervalSeconds = null, cron = null } = {}) {
+    const job = this._requireJob(channelId);
+    if (intervalSeconds && cron) {
+      throw new Error('Provide either an interval or a cron expression, not both');
+    }
+    if (cron) {
+      parseCron(cron);
+    }
+
+    const schedule = {
+      refresh_interval_seconds: intervalSeconds ? Math.floor(intervalSeconds) : null,
+      refresh_cron: cron || null,
+    };
+    this.db.prepare(`
+      UPDATE jobs
+      SET refresh_interval_seconds = @refresh_interval_seconds,
+          refresh_cron = @refresh_cron,
+          schedule_paused = 0,
+          next_refresh_at = @next_refresh_at,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run({ ...schedule, next_refresh_at: this._nextRefreshAt(schedule), id: job.id });
+
+    return this._getJobView(job.id);
+  }
+
+  pauseJobSchedule(channelId) {
+    const job = this._requireJob(channelId);
+    this.db.prepare(`
+      UPDATE jobs
+      SET schedule_paused = 1, next_refresh_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(job.id);
+    return this._getJobView(job.id);
+  }
+
+  resumeJobSchedule(channelId) {
+    const job = this._requireJob(channelId);
+    if (!job.refresh_interval_seconds && !job.refresh_cron) {
+      throw new Error(`Sync job for ${channelId} has no refresh schedule`);
+    }
+    this.db.prepare(`
+      UPDATE jobs
+      SET schedule_paused = 0, next_refresh_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(this._nextRefreshAt({ ...job, schedule_paused: 0 }), job.id);
+    return this._getJobView(job.id);
+  }
+
+  startScheduler() {
+    if (this.schedulerTimer) {
+      return;
+    }
+    this.schedulerTimer = setInterval(() => {
+      try {
+        if (this._requeueDueJobs() > 0) {
+          void this.processQueue();
+        }
+      } catch (error) {
+        console.warn('[sync] scheduler tick failed:', error?.message || error);
+      }
+    }, this.schedulerIntervalMs);
+    this.schedulerTimer.unref?.();
+  }
+
+  startRealtimeSync() {
+    if (this.unsubscribeUpdates) {
+      return;
+    }
+
+    // Anything posted while the server was down is fetched by one catch-up pass;
+    // after that, idle jobs advance purely from live updates.
+    const idleJobs = this.db.prepare(`SELECT id FROM jobs WHERE status = '${JOB_STATUS.IDLE}'`).all();
+    for (const { id } of idleJobs) {
+      this.catchUpJobIds.add(id);
+    }
+    this.db.prepare(`
+      UPDATE jobs
+      SET status = '${JOB_STATUS.PENDING}', updated_at = CURRENT_TIMESTAMP
+      WHERE status = '${JOB_STATUS.IDLE}'
+    `).run();
+
+    this.unsubscribeUpdates = this.telegramClient.onUpdate((update) => {
+      try {
+        this._handleUpdate(update);
+      } catch (error) {
+        console.warn('[sync] failed to apply live update:', error?.message || error);
+      }
+    });
+  }
+
+  async shutdown() {
+    this.stopRequested = true;
+
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+
+    if (this.unsubscribeUpdates) {
+      this.unsubscribeUpdates();
+      this.unsubscribeUpdates = null;
+    }
+
+    while (this.processing) {
+      await delay(100);
+    }
+
+    if (this.db && this.db.open) {
+      this.db.close();
+    }
+  }
+
+  _requeueDueJobs(now = Math.floor(Date.now() / 1000)) {
+    const { changes } = this.db.prepare(`
+      UPDATE jobs
+      SET status = '${JOB_STATUS.PENDING}', next_refresh_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE status = '${JOB_STATUS.IDLE}'
+        AND schedule_paused = 0
+        AND next_refresh_at IS NOT NULL
+        AND next_refresh_at <= ?
+    `).run(now);
+    return changes;
+  }
+
+  _nextRefreshAt(schedule, from = new Date()) {
+    if (schedule.schedule_paused) {
+      return null;
+    }
+    if (schedule.refresh_cron) {
+      return Math.floor(nextCronRun(schedule.refresh_cron, from).getTime() / 1000);
+    }
+    if (schedule.refresh_interval_seconds) {
+      return Math.floor(from.getTime() / 1000) + schedule.refresh_interval_seconds;
+    }
+    return null;
+  }
+
+  // The running pass notices this at its next checkpoint and bails out without touching the job status.
+  _stopActiveJob(id) {
+    if (!this.activeJobIds.has(id)) {
+      return false;
+    }
+    this.stoppedJobIds.add(id);
+    return true;
+  }
+
+  _throwIfStopped(jobId) {
+    if (this.stoppedJobIds.has(jobId)) {
+      throw new JobStoppedError(jobId);
+    }
+  }
+
+  _requireJob(channelId) {
+    const job = this.db.prepare('SELECT * FROM jobs WHERE channel_id = ?')
+      .get(String(normalizeChannelId(channelId)));
+    if (!job) {
+      throw new Error(`No sync job for ${channelId}`);
+    }
+    return job;
+  }
+
+  _getJobView(id) {
+    return formatJobDates(this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+  }
+
+  _getNextJob() {
+    const candidates = this.db.prepare(`
+      SELECT * FROM jobs
+      WHERE status IN ('${JOB_STATUS.PENDING}', '${JOB_STATUS.IN_PROGRESS}')
+        AND (next_run_at IS NULL OR next_run_at <= ?)
+      ORDER BY priority DESC, updated_at ASC
+    `).iterate(Math.floor(Date.now() / 1000));
+
+    for (const job of candidates) {
+      if (!this.activeJobIds.has(job.id)) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  async _callTelegram(method, call) {
+    await this.rateLimiter.acquire(method);
+    try {
+      return await call();
+    } catch (error) {
+      const waitSeconds = floodWaitSeconds(error);
+      if (waitSeconds !== null) {
+        this.rateLimiter.penalize(method, waitSeconds);
+      }
+      throw error;
+    }
+  }
+
+  searchMessages({ channelId, pattern, limit = 50, caseInsensitive = true, beforeMessageId = null }) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const flags = caseInsensitive ? "i" : "";
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT message_id, date, from_id, text, deleted_at, ${MEDIA_COLUMNS.join(', ')}
+      FROM messages
+      WHERE channel_id = ? AND (? IS NULL OR message_id < ?)
+      ORDER BY message_id DESC
+    `).all(normalizedId, beforeMessageId, beforeMessageId);
+
+    const matches = [];
+    for (const row of rows) {
+      const text = row.text || "";
+      if (regex.test(text)) {
+        matches.push({
+          messageId: row.message_id,
+          date: row.date ? new Date(row.date * 1000).toISOString() : null,
+          fromId: row.from_id,
+          text,
+          deletedAt: row.deleted_at ?? null,
+          media: mediaFromRow(row),
+        });
+        if (matches.length >= limit) {
+          break;
+        }
+      }
+    }
+
+    return this._attachSenderNames(matches);
+  }
+
+  searchMessagesFullText({ channelId, query, limit = 50 }) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const trimmed = typeof query === 'string' ? query.trim() : '';
+    if (!trimmed) {
+      throw new Error('Full-text query must not be empty');
+    }
+
+    let rows;
+    try {
+      rows = this.db.prepare(`
+        SELECT
+          m.message_id,
+          m.date,
+          m.from_id,
+          m.text,
+          m.deleted_at,
+          ${MEDIA_COLUMNS.map((column) => `m.${column}`).join(', ')},
+          snippet(messages_fts, 0, '**', '**', '…', 16) AS snippet,
+          bm25(messages_fts) AS rank
+        FROM messages_fts
+        JOIN messages m ON m.id = messages_fts.rowid
+        WHERE messages_fts MATCH ? AND m.channel_id = ?
+        ORDER BY rank ASC, m.message_id DESC
+        LIMIT ?
+      `).all(trimmed, normalizedId, limit);
+    } catch (error) {
+      throw new Error(`Invalid full-text query: ${error.message}`);
+    }
+
+    return this._attachSenderNames(rows.map((row) => ({
+      messageId: row.message_id,
+      date: row.date ? new Date(row.date * 1000).toISOString() : null,
+      fromId: row.from_id,
+      text: row.text || "",
+      deletedAt: row.deleted_at ?? null,
+      media: mediaFromRow(row),
+      snippet: row.snippet,
+      rank: row.rank,
+    })));
+  }
+
+  searchArchive({
+    query,
+    pattern,
+    channelIds,
+    peerTypes,
+    since,
+    until,
+    limit = 50,
+    caseInsensitive = true,
+    sortBy = 'date',
+    groupByChannel = false,
+  } = {}) {
+    const ftsQuery = typeof query === 'string' ? query.trim() : '';
+    if (!ftsQuery && !pattern) {
+      throw new Error('Either query or pattern is required');
+    }
+    if (sortBy === 'relevance' && !ftsQuery) {
+      throw new Error('sortBy "relevance" requires a full-text query');
+    }
+
+    let regex = null;
+    if (pattern) {
+      try {
+        regex = new RegExp(pattern, caseInsensitive ? 'i' : '');
+      } catch (error) {
+        throw new Error(`Invalid pattern: ${error.message}`);
+      }
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (ftsQuery) {
+      conditions.push('messages_fts MATCH ?');
+      params.push(ftsQuery);
+    }
+
+    if (Array.isArray(channelIds) && channelIds.length) {
+      const ids = channelIds.map((id) => String(normalizeChannelId(id)));
+      conditions.push(`m.channel_id IN (${ids.map(() => '?').join(', ')})`);
+      params.push(...ids);
+    }
+
+    if (Array.isArray(peerTypes) && peerTypes.length) {
+      conditions.push(`j.peer_type IN (${peerTypes.map(() => '?').join(', ')})`);
+      params.push(...peerTypes);
+    }
+
+    const sinceSeconds = toUnixSeconds(since, 'since');
+    if (sinceSeconds !== null) {
+      conditions.push('m.date >= ?');
+      params.push(sinceSeconds);
+    }
+
+    const untilSeconds = toUnixSeconds(until, 'until');
+    if (untilSeconds !== null) {
+      conditions.push('m.date <= ?');
+      params.push(untilSeconds);
+    }
+
+    const orderBy = {
+      date: 'm.date DESC, m.channel_id ASC, m.message_id DESC',
+      channel: 'm.channel_id ASC, m.date DESC, m.message_id DESC',
+      relevance: 'rank ASC, m.date DESC',
+    }[sortBy];
+    if (!orderBy) {
+      throw new Error(`Unsupported sortBy value: ${sortBy}`);
+    }
+
+    const sql = `
+      SELECT
+        m.channel_id,
+        j.peer_title,
+        j.peer_type,
+        m.message_id,
+        m.date,
+        m.from_id,
+        m.text,
+        m.deleted_at,
+        ${MEDIA_COLUMNS.map((column) => `m.${column}`).join(', ')}
+        ${ftsQuery ? `, snippet(messages_fts, 0, '**', '**', '…', 16) AS snippet, bm25(messages_fts) AS rank` : ''}
+      FROM ${ftsQuery ? 'messages_fts JOIN messages m ON m.id = messages_fts.rowid' : 'messages m'}
+      LEFT JOIN jobs j ON j.channel_id = m.channel_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${orderBy}
+    `;
+
+    const statement = this.db.prepare(sql);
+    const hits = [];
+    try {
+      for (const row of statement.iterate(...params)) {
+        const text = row.text || '';
+        if (regex && !regex.test(text)) {
+          continue;
+        }
+        hits.push({
+          channelId: row.channel_id,
+          peerTitle: row.peer_title ?? null,
+          peerType: row.peer_type ?? null,
+          messageId: row.message_id,
+          date: row.date ? new Date(row.date * 1000).toISOString() : null,
+          fromId: row.from_id,
+          text,
+          deletedAt: row.deleted_at ?? null,
+          media: mediaFromRow(row),
+          ...(ftsQuery ? { snippet: row.snippet, rank: row.rank } : {}),
+        });
+        if (hits.length >= limit) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (ftsQuery) {
+        throw new Error(`Invalid full-text query: ${error.message}`);
+      }
+      throw error;
+    }
+
+    const namedHits = this._attachSenderNames(hits);
+    if (!groupByChannel) {
+      return namedHits;
+    }
+
+    const groups = new Map();
+    for (const hit of namedHits) {
+      const { channelId, peerTitle, peerType, ...rest } = hit;
+      if (!groups.has(channelId)) {
+        groups.set(channelId, { channelId, peerTitle, peerType, hits: [] });
+      }
+      groups.get(channelId).hits.push(rest);
+    }
+
+    return Array.from(groups.values());
+  }
+
+  getMessageStats(channelId) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const summary = this.db.prepare(`
+      SELECT
+        COUNT(*) AS total,
+        MIN(message_id) AS oldestMessageId,
+        MAX(message_id) AS newestMessageId,
+        MIN(date) AS oldestDate,
+        MAX(date) AS newestDate,
+        SUM(CASE WHEN deleted_at IS NOT NULL THEN 1 ELSE 0 END) AS deleted,
+        (SELECT COUNT(DISTINCT message_id) FROM message_revisions WHERE channel_id = ?) AS edited
+      FROM messages
+      WHERE channel_id = ?
+    `).get(normalizedId, normalizedId);
+
+    return {
+      total: summary.total || 0,
+      deleted: summary.deleted || 0,
+      edited: summary.edited || 0,
+      oldestMessageId: summary.oldestMessageId || null,
+      newestMessageId: summary.newestMessageId || null,
+      oldestDate: summary.oldestDate ? new Date(summary.oldestDate * 1000).toISOString() : null,
+      newestDate: summary.newestDate ? new Date(summary.newestDate * 1000).toISOString() : null,
+    };
+  }
+
+  // Activity, poster and posting-time statistics for one or more archived channels. Buckets, hours and
+  // weekdays use UTC shifted by utcOffsetMinutes; weeks start on Monday.
+  getChannelAnalytics({ channelIds, since, until, interval = 'day', topPosters = 10, utcOffsetMinutes = 0 }) {
+    if (!['day', 'week'].includes(interval)) {
+      throw new Error(`Unknown interval "${interval}" (expected day or week)`);
+    }
+    const sinceDate = toUnixSeconds(since, 'since');
+    const untilDate = toUnixSeconds(until, 'until');
+    if (sinceDate !== null && untilDate !== null && sinceDate > untilDate) {
+      throw new Error('since must be earlier than until');
+    }
+
+    const channels = Array.from(new Set(channelIds.map((channelId) => {
+      const normalizedId = String(normalizeChannelId(channelId));
+      const job = this._findJobForPeer(normalizedId);
+      if (!job && !this._countMessages(normalizedId)) {
+        throw new Error(`Nothing is archived for ${channelId}`);
+      }
+      return job?.channel_id ?? normalizedId;
+    })));
+
+    const scope = `
+      m.channel_id IN (${channels.map((_, index) => `@channel${index}`).join(', ')})
+      AND (@since IS NULL OR m.date >= @since)
+      AND (@until IS NULL OR m.date <= @until)
+    `;
+    const scopeParams = {
+      ...Object.fromEntries(channels.map((channelId, index) => [`channel${index}`, channelId])),
+      since: sinceDate,
+      until: untilDate,
+    };
+    const query = (sql, params = {}) => this.db.prepare(sql).all({ ...scopeParams, ...params });
+    const offset = utcOffsetMinutes * 60;
+    const localTime = "m.date + @offset, 'unixepoch'";
+
+    const perChannel = query(`
+      SELECT m.channel_id, j.peer_title,
+        COUNT(*) AS messages,
+        COUNT(DISTINCT CASE WHEN m.from_id <> 'unknown' THEN m.from_id END) AS senders,
+        AVG(CASE WHEN m.text <> '' THEN LENGTH(m.text) END) AS avg_length,
+        SUM(CASE WHEN ${LINK_CONDITION} THEN 1 ELSE 0 END) AS with_links,
+        SUM(CASE WHEN m.media_type IS NOT NULL THEN 1 ELSE 0 END) AS with_media,
+        SUM(CASE WHEN m.deleted_at IS NOT NULL THEN 1 ELSE 0 END) AS deleted,
+        MIN(m.date) AS first_date,
+        MAX(m.date) AS last_date
+      FROM messages m
+      LEFT JOIN jobs j ON j.channel_id = m.channel_id
+      WHERE ${scope}
+      GROUP BY m.channel_id
+    `);
+
+    const bucket = interval === 'week'
+      ? `date(${localTime}, 'weekday 0', '-6 days')`
+      : `date(${localTime})`;
+    const activity = query(`
+      SELECT ${bucket} AS period, COUNT(*) AS messages,
+        COUNT(DISTINCT CASE WHEN m.from_id <> 'unknown' THEN m.from_id END) AS senders
+      FROM messages m
+      WHERE ${scope}
+      GROUP BY period
+      ORDER BY period
+    `, { offset });
+
+    const posters = query(`
+      SELECT m.from_id, u.display_name, u.username, COUNT(*) AS messages,
+        AVG(CASE WHEN m.text <> '' THEN LENGTH(m.text) END) AS avg_length
+      FROM messages m
+      LEFT JOIN users u ON u.id = m.from_id
+      WHERE ${scope} AND m.from_id IS NOT NULL AND m.from_id <> 'unknown'
+      GROUP BY m.from_id
+      ORDER BY messages DESC, m.from_id
+      LIMIT @top
+    `, { top: topPosters });
+
+    const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+    for (const cell of query(`
+      SELECT CAST(strftime('%w', ${localTime}) AS INTEGER) AS weekday,
+        CAST(strftime('%H', ${localTime}) AS INTEGER) AS hour,
+        COUNT(*) AS messages
+      FROM messages m
+      WHERE ${scope}
+      GROUP BY weekday, hour
+    `, { offset })) {
+      // strftime counts weekdays from Sunday; rows here start on Monday.
+      heatmap[(cell.weekday + 6) % 7][cell.hour] = cell.messages;
+    }
+
+    const summarize = (row) => ({
+      messages: row.messages,
+      senders: row.senders,
+      averageLength: row.avg_length === null ? null : Math.round(row.avg_length * 10) / 10,
+      linkRatio: row.messages ? Math.round((row.with_links / row.messages) * 1000) / 1000 : 0,
+      mediaRatio: row.messages ? Math.round((row.with_media / row.messages) * 1000) / 1000 : 0,
+      deleted: row.deleted,
+    });
+    const totals = perChannel.reduce((sum, row) => ({
+      messages: sum.messages + row.messages,
+      with_links: sum.with_links + row.with_links,
+      with_media: sum.with_media + row.with_media,
+      deleted: sum.deleted + row.deleted,
+    }), { messages: 0, with_links: 0, with_media: 0, deleted: 0 });
+    const [{ senders, avg_length: averageLength }] = query(`
+      SELECT COUNT(DISTINCT CASE WHEN m.from_id <> 'unknown' THEN m.from_id END) AS senders,
+        AVG(CASE WHEN m.text <> '' THEN LENGTH(m.text) END) AS avg_length
+      FROM messages m
+      WHERE ${scope}
+    `);
+
+    return {
+      channels: perChannel.map((row) => ({
+        channelId: row.channel_id,
+        peerTitle: row.peer_title ?? null,
+        firstMessageDate: fromUnixSeconds(row.first_date),
+        lastMessageDate: fromUnixSeconds(row.last_date),
+        ...summarize(row),
+      })),
+      since: fromUnixSeconds(sinceDate),
+      until: fromUnixSeconds(untilDate),
+      utcOffsetMinutes,
+      totals: summarize({ ...totals, senders, avg_length: averageLength }),
+      activity: { interval, periods: activity },
+      topPosters: posters.map((row) => ({
+        fromId: row.from_id,
+        fromName: row.display_name ?? null,
+        username: row.username ?? null,
+        messages: row.messages,
+        share: totals.messages ? Math.round((row.messages / totals.messages) * 1000) / 1000 : 0,
+        averageLength: row.avg_length === null ? null : Math.round(row.avg_length * 10) / 10,
+      })),
+      // heatmap.messages[weekday][hour], weekdays as listed.
+      heatmap: { weekdays: WEEKDAYS, messages: heatmap },
+    };
+  }
+
+  getArchivedMessages(channelId, { since, until, limit = 100 } = {}) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const rows = this.db.prepare(`
+      SELECT message_id, date, edit_date, from_id, text, deleted_at, reply_to_message_id, topic_id, ${MEDIA_COLUMNS.join(', ')}
+      FROM messages
+      WHERE channel_id = @channelId
+        AND (@since IS NULL OR date >= @since)
+        AND (@until IS NULL OR date <= @until)
+      ORDER BY message_id DESC
+      LIMIT @limit
+    `).all({
+      channelId: normalizedId,
+      since: toUnixSeconds(since, 'since'),
+      until: toUnixSeconds(until, 'until'),
+      limit,
     });
+
+    // Newest messages win the limit, but they are returned oldest first so they read like a chat log.
+    return this._attachSenderNames(rows.reverse().map((row) => ({
+      messageId: row.message_id,
+      date: row.date ? new Date(row.date * 1000).toISOString() : null,
+      editDate: row.edit_date ? new Date(row.edit_date * 1000).toISOString() : null,
+      fromId: row.from_id,
+      text: row.text || "",
+      replyToMessageId: row.reply_to_message_id ?? null,
+      topicId: row.topic_id ?? null,
+      deletedAt: row.deleted_at ?? null,
+      media: mediaFromRow(row),
+    })));
   }
 
-  _ensureJobColumn(column, definition) {
-    const existing = this.db.prepare("PRAGMA table_info(jobs)").all();
-    if (!existing.some((col) => col.name === column)) {
-      this.db.exec(`ALTER TABLE jobs ADD COLUMN ${column} ${definition}`);
+  // Digest windows default to the current UTC day; an open-ended window (no until) is cached with until_date 0.
+  // A cached digest is only reused while the window's messages, edits and deletions are unchanged.
+  getDigestWindow(channelId, { since, until, limit } = {}) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const job = this._findJobForPeer(normalizedId);
+    const archiveId = job?.channel_id ?? normalizedId;
+    const sinceDate = toUnixSeconds(since, 'since') ?? Math.floor(new Date().setUTCHours(0, 0, 0, 0) / 1000);
+    const untilDate = toUnixSeconds(until, 'until');
+    if (untilDate !== null && sinceDate > untilDate) {
+      throw new Error('since must be earlier than until');
     }
+
+    const state = this.db.prepare(`
+      SELECT COUNT(*) AS total, MAX(message_id) AS newest, MAX(COALESCE(edit_date, 0)) AS edited,
+        SUM(CASE WHEN deleted_at IS NOT NULL THEN 1 ELSE 0 END) AS deleted
+      FROM messages
+      WHERE channel_id = @channelId
+        AND date >= @since
+        AND (@until IS NULL OR date <= @until)
+    `).get({ channelId: archiveId, since: sinceDate, until: untilDate });
+
+    const fingerprint = [state.total, state.newest ?? 0, state.edited ?? 0, state.deleted ?? 0, limit ?? ''].join(':');
+    const cached = this.db.prepare(`
+      SELECT fingerprint, digest_json
+      FROM digests
+      WHERE channel_id = ? AND since_date = ? AND until_date = ?
+    `).get(archiveId, sinceDate, untilDate ?? 0);
+
+    return {
+      channelId: archiveId,
+      peerTitle: job?.peer_title ?? null,
+      since: fromUnixSeconds(sinceDate),
+      until: fromUnixSeconds(untilDate),
+      sinceDate,
+      untilDate,
+      totalMessages: state.total,
+      fingerprint,
+      cached: cached?.fingerprint === fingerprint ? JSON.parse(cached.digest_json) : null,
+    };
   }
 
-  addJob(channelId, options = {}) {
+  saveDigest(window, digest) {
+    this.db.prepare(`
+      INSERT INTO digests (channel_id, since_date, until_date, fingerprint, digest_json, created_at)
+      VALUES (@channelId, @since, @until, @fingerprint, @digest, CURRENT_TIMESTAMP)
+      ON CONFLICT(channel_id, since_date, until_date) DO UPDATE SET
+        fingerprint = excluded.fingerprint,
+        digest_json = excluded.digest_json,
+        created_at = CURRENT_TIMESTAMP
+    `).run({
+      channelId: window.channelId,
+      since: window.sinceDate,
+      until: window.untilDate ?? 0,
+      fingerprint: window.fingerprint,
+      digest: JSON.stringify(digest),
+    });
+  }
+
+  async exportMessages(channelId, { format = 'jsonl', since, until, outputPath } = {}) {
+    const extension = EXPORT_FORMATS[format];
+    if (!extension) {
+      throw new Error(`Unsupported export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+
     const normalizedId = String(normalizeChannelId(channelId));
-    const target = options.depth && options.depth > 0 ? Number(options.depth) : DEFAULT_TARGET_MESSAGES;
-    const stmt = this.db.prepare(`
-      INSERT INTO jobs (channel_id, status, error, target_message_count, updated_at)
-      VALUES (?, '${JOB_STATUS.PENDING}', NULL, ?, CURRENT_TIMESTAMP)
-      ON CONFLICT(channel_id) DO UPDATE SET
-        status='${JOB_STATUS.PENDING}',
-        error=NULL,
-        target_message_count=?,
-        updated_at=CURRENT_TIMESTAMP
-      RETURNING *;
-    `);
+    const sinceDate = toUnixSeconds(since, 'since');
+    const untilDate = toUnixSeconds(until, 'until');
+    const job = this._findJobForPeer(normalizedId);
+    const archiveId = job?.channel_id ?? normalizedId;
+    if (!job && !this._countMessages(archiveId)) {
+      throw new Error(`Nothing is archived for ${channelId}`);
+    }
+
+    const exportedAt = new Date();
+    const fileName = `export-${archiveId.replace(/[^a-z0-9_-]+/gi, '_')}-${exportedAt.toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    const filePath = path.resolve(outputPath ?? path.join(path.dirname(this.dbPath), 'exports', fileName));
+    const dialog = {
+      channelId: archiveId,
+      peerId: job?.peer_id ?? null,
+      peerType: job?.peer_type ?? null,
+      title: job?.peer_title ?? null,
+      since: fromUnixSeconds(sinceDate),
+      until: fromUnixSeconds(untilDate),
+      exportedAt: exportedAt.toISOString(),
+    };
 
-    return stmt.get(normalizedId, target, target);
+    const messageCount = await writeArchiveExport(
+      filePath,
+      format,
+      dialog,
+      this._iterateExportMessages(archiveId, sinceDate, untilDate),
+    );
+
+    return {
+      channelId: archiveId,
+      peerTitle: dialog.title,
+      format,
+      path: filePath,
+      messageCount,
+      since: dialog.since,
+      until: dialog.until,
+    };
   }
 
-  listJobs() {
-    return this.db.prepare(`
-      SELECT id, channel_id, peer_title, peer_type, status, last_message_id, oldest_message_id, target_message_count, message_count, last_synced_at, created_at, updated_at, error
-      FROM jobs
-      ORDER BY updated_at DESC
-    `).all();
+  // Imports a Telegram Desktop JSON export. Messages that are already archived are kept as they are,
+  // and each chat's job is queued so the regular sync continues after the newest imported message.
+  async importDesktopExport(filePath, { chatId } = {}) {
+    const chats = readDesktopExport(filePath, { chatId });
+    if (chats.some((chat) => !this._findJobForPeer(chat.peerId))) {
+      await this._resolveUsernameJobs();
+    }
+    return {
+      path: path.resolve(filePath),
+      chats: chats.map((chat) => this._importDesktopChat(chat)),
+    };
   }
 
-  async processQueue() {
-    if (this.processing) {
+  // Username-keyed jobs learn their marked ID on their first sync pass. Resolve the ones that have
+  // not had one yet, so imports land in them instead of in a duplicate job keyed by the numeric ID.
+  async _resolveUsernameJobs() {
+    if (!this.telegramClient) {
       return;
     }
-    if (this.stopRequested) {
-      return;
+    const jobs = this.db.prepare(`
+      SELECT id, channel_id FROM jobs
+      WHERE channel_id LIKE '@%'
+        AND (peer_id IS NULL OR NOT (peer_id GLOB '[0-9]*' OR peer_id GLOB '-[0-9]*'))
+    `).all();
+    for (const job of jobs) {
+      try {
+        const peerId = await this._callTelegram(
+          peerLookupMethod(job.channel_id),
+          () => this.telegramClient.resolvePeerId(job.channel_id),
+        );
+        this.db.prepare('UPDATE jobs SET peer_id = ? WHERE id = ?').run(peerId, job.id);
+      } catch (error) {
+        console.warn(`[sync] could not resolve ${job.channel_id}:`, error?.message || error);
+      }
+    }
+  }
+
+  // Resolves a path given to the import tool inside the account's imports directory (next to the
+  // archive database) and rejects anything outside it, symlinks included.
+  resolveImportPath(filePath) {
+    const importsDir = path.join(path.dirname(this.dbPath), 'imports');
+    fs.mkdirSync(importsDir, { recursive: true });
+    const root = fs.realpathSync(importsDir);
+    const outside = `Imports are limited to files in ${importsDir}`;
+
+    const requested = path.resolve(root, filePath);
+    if (!isInsideDirectory(root, requested)) {
+      throw new Error(outside);
     }
-    this.processing = true;
+    let resolved;
     try {
-      while (true) {
-        if (this.stopRequested) {
-          break;
+      resolved = fs.realpathSync(requested);
+    } catch {
+      throw new Error(`${filePath} was not found in ${importsDir}`);
+    }
+    if (!isInsideDirectory(root, resolved)) {
+      throw new Error(outside);
+    }
+    return resolved;
+  }
+
+  _importDesktopChat(chat) {
+    const channelId = this._findJobForPeer(chat.peerId)?.channel_id ?? chat.peerId;
+    const insertSenderStmt = this.db.prepare(`
+      INSERT INTO users (id, peer_type, display_name, updated_at)
+      VALUES (@id, @type, @displayName, CURRENT_TIMESTAMP)
+      ON CONFLICT(id) DO NOTHING
+    `);
+
+    const importChat = this.db.transaction(() => {
+      const imported = [];
+      const senders = new Map();
+      for (const message of chat.messages) {
+        const record = {
+          ...this._buildMessageRecord(channelId, message),
+          media_local_path: message.media?.localPath ?? null,
+        };
+        if (this.importMessageStmt.run(record).changes) {
+          imported.push(record);
         }
-        const job = this._getNextJob();
-        if (!job) {
-          break;
+        if (message.sender) {
+          senders.set(message.sender.id, message.sender);
         }
-        await this._processJob(job);
-        await delay(this.interJobDelayMs);
       }
-    } finally {
-      this.processing = false;
+      for (const sender of senders.values()) {
+        insertSenderStmt.run(sender);
+      }
+
+      const newestId = chat.messages.reduce((max, message) => Math.max(max, message.id), 0);
+      const job = this.db.prepare(`
+        INSERT INTO jobs (channel_id, peer_id, peer_title, peer_type, status, target_message_count, updated_at)
+        VALUES (@channelId, @peerId, @title, @peerType, '${JOB_STATUS.PENDING}', @target, CURRENT_TIMESTAMP)
+        ON CONFLICT(channel_id) DO UPDATE SET
+          peer_id = COALESCE(jobs.peer_id, excluded.peer_id),
+          peer_title = COALESCE(jobs.peer_title, excluded.peer_title),
+          peer_type = COALESCE(jobs.peer_type, excluded.peer_type),
+          status = CASE
+            WHEN jobs.status IN ('${JOB_STATUS.IDLE}', '${JOB_STATUS.ERROR}') THEN '${JOB_STATUS.PENDING}'
+            ELSE jobs.status
+          END,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING id, channel_id, peer_id
+      `).get({
+        channelId,
+        peerId: chat.peerId,
+        title: chat.title,
+        peerType: chat.peerType,
+        // Never let the default depth fall below what was imported.
+        target: Math.max(DEFAULT_TARGET_MESSAGES, chat.messages.length),
+      });
+
+      this.db.prepare(`
+        UPDATE jobs
+        SET last_message_id = MAX(COALESCE(last_message_id, 0), @newestId),
+            oldest_message_id = (SELECT MIN(message_id) FROM messages WHERE channel_id = jobs.channel_id),
+            message_count = (SELECT COUNT(*) FROM messages WHERE channel_id = jobs.channel_id),
+            coverage_start = (SELECT MIN(date) FROM messages WHERE channel_id = jobs.channel_id),
+            coverage_end = (SELECT MAX(date) FROM messages WHERE channel_id = jobs.channel_id)
+        WHERE id = @id
+      `).run({ id: job.id, newestId });
+
+      return { job, imported };
+    });
+
+    const { job, imported } = importChat();
+    if (imported.length) {
+      this.watchRules.evaluate({ ...job, peer_title: chat.title }, imported, { historical: true });
+      this._emitArchiveChange(job);
     }
-  }
 
-  resumePendingJobs() {
-    void this.processQueue();
+    return {
+      channelId,
+      peerTitle: chat.title,
+      jobId: job.id,
+      importedMessages: imported.length,
+      alreadyArchived: chat.messages.length - imported.length,
+      skippedServiceMessages: chat.skipped,
+    };
   }
 
-  async shutdown() {
-    this.stopRequested = true;
+  // Pages through the archive instead of holding a cursor open, so other queries can run while the file is written.
+  *_iterateExportMessages(channelId, since, until) {
+    const pageStmt = this.db.prepare(`
+      SELECT m.message_id, m.date, m.edit_date, m.from_id, m.text, m.deleted_at, m.reply_to_message_id, m.topic_id,
+        m.forward_from_id, m.forward_from_name, m.forward_from_chat_id, m.forward_from_message_id, m.forward_date,
+        ${MEDIA_COLUMNS.map((column) => `m.${column}`).join(', ')},
+        u.display_name AS from_name
+      FROM messages m
+      LEFT JOIN users u ON u.id = m.from_id
+      WHERE m.channel_id = @channelId
+        AND m.message_id > @afterId
+        AND (@since IS NULL OR m.date >= @since)
+        AND (@until IS NULL OR m.date <= @until)
+      ORDER BY m.message_id ASC
+      LIMIT @limit
+    `);
 
-    while (this.processing) {
-      await delay(100);
+    let afterId = 0;
+    for (;;) {
+      const rows = pageStmt.all({ channelId, afterId, since, until, limit: EXPORT_PAGE_SIZE });
+      for (const row of rows) {
+        yield {
+          id: row.message_id,
+          date: row.date,
+          editDate: row.edit_date ?? null,
+          fromId: row.from_id && row.from_id !== 'unknown' ? row.from_id : null,
+          fromName: row.from_name ?? null,
+          text: row.text || '',
+          replyToMessageId: row.reply_to_message_id ?? null,
+          topicId: row.topic_id ?? null,
+          forward: forwardFromRow(row),
+          deletedAt: row.deleted_at ?? null,
+          media: mediaFromRow(row),
+        };
+      }
+      if (rows.length < EXPORT_PAGE_SIZE) {
+        return;
+      }
+      afterId = rows[rows.length - 1].message_id;
     }
+  }
 
-    if (this.db && this.db.open) {
-      this.db.close();
+  getMessageHistory(channelId, messageId) {
+    const normalizedId = String(normalizeChannelId(channelId));
+    const message = this.db.prepare(`
+      SELECT message_id, date, edit_date, from_id, text, deleted_at, ${MEDIA_COLUMNS.join(', ')}
+      FROM messages
+      WHERE channel_id = ? AND message_id = ?
+    `).get(normalizedId, messageId);
+
+    if (!message) {
+      throw new Error(`Message ${messageId} is not archived for channel ${normalizedId}`);
     }
-  }
 
-  _getNextJob() {
-    return this.db.prepare(`
-      SELECT * FROM jobs
-      WHERE status IN ('${JOB_STATUS.PENDING}', '${JOB_STATUS.IN_PROGRESS}')
-      ORDER BY updated_at ASC
-      LIMIT 1
-    `).get();
+    const revisions = this.db.prepare(`
+      SELECT text, edit_date, recorded_at
+      FROM message_revisions
+      WHERE channel_id = ? AND message_id = ?
+      ORDER BY id ASC
+    `).all(normalizedId, messageId);
+
+    return {
+      channelId: normalizedId,
+      messageId: message.message_id,
+      fromId: message.from_id,
+      fromName: this._lookupSenderNames([message.from_id]).get(message.from_id) ?? null,
+      date: message.date ? new Date(message.date * 1000).toISOString() : null,
+      editDate: message.edit_date ? new Date(message.edit_date * 1000).toISOString() : null,
+      deletedAt: message.deleted_at ?? null,
+      media: mediaFromRow(message),
+      originalText: revisions.length ? revisions[0].text : message.text,
+      currentText: message.text,
+      revisions: revisions.map((revision) => ({
+        text: revision.text,
+        editDate: revision.edit_date ? new Date(revision.edit_date * 1000).toISOString() : null,
+        recordedAt: revision.recorded_at,
+      })),
+    };
   }
 
-  searchMessages({ channelId, pattern, limit = 50, caseInsensitive = true }) {
+  getThread(channelId, { messageId, topicId, limit = 200 } = {}) {
     const normalizedId = String(normalizeChannelId(channelId));
-    const flags = caseInsensitive ? "i" : "";
-    let regex;
-    try {
-      regex = new RegExp(pattern, flags);
-    } catch (error) {
-      throw new Error(`Invalid pattern: ${error.message}`);
-    }
+    const columns = `
+      message_id, date, from_id, text, deleted_at, reply_to_message_id, topic_id,
+      forward_from_id, forward_from_name, forward_from_chat_id, forward_from_message_id, forward_date,
+      ${MEDIA_COLUMNS.join(', ')}
+    `;
 
-    const rows = this.db.prepare(`
-      SELECT message_id, date, from_id, text
-      FROM messages
-      WHERE channel_id = ?
-      ORDER BY message_id DESC
-    `).all(normalizedId);
+    let rootMessageId = null;
+    let rows;
 
-    const matches = [];
-    for (const row of rows) {
-      const text = row.text || "";
-      if (regex.test(text)) {
-        matches.push({
-          messageId: row.message_id,
-          date: row.date ? new Date(row.date * 1000).toISOString() : null,
-          fromId: row.from_id,
-          text,
-        });
-        if (matches.length >= limit) {
-          break;
-        }
+    if (topicId) {
+      rows = this.db.prepare(`
+        SELECT ${columns}
+        FROM messages
+        WHERE channel_id = @channelId AND (topic_id = @topicId OR message_id = @topicId)
+        ORDER BY message_id ASC
+        LIMIT @limit
+      `).all({ channelId: normalizedId, topicId, limit });
+    } else {
+      const root = this.db.prepare(`
+        WITH RECURSIVE ancestors(message_id, reply_to_message_id, depth) AS (
+          SELECT message_id, reply_to_message_id, 0
+          FROM messages
+          WHERE channel_id = @channelId AND message_id = @messageId
+          UNION
+          SELECT m.message_id, m.reply_to_message_id, a.depth + 1
+          FROM messages m
+          JOIN ancestors a ON m.message_id = a.reply_to_message_id
+          WHERE m.channel_id = @channelId
+        )
+        SELECT message_id FROM ancestors ORDER BY depth DESC LIMIT 1
+      `).get({ channelId: normalizedId, messageId });
+
+      if (!root) {
+        return null;
       }
+
+      rootMessageId = root.message_id;
+      rows = this.db.prepare(`
+        WITH RECURSIVE tree(message_id) AS (
+          SELECT @rootId
+          UNION
+          SELECT m.message_id
+          FROM messages m
+          JOIN tree t ON m.reply_to_message_id = t.message_id
+          WHERE m.channel_id = @channelId
+        )
+        SELECT ${columns}
+        FROM messages
+        WHERE channel_id = @channelId
+          AND (message_id IN (SELECT message_id FROM tree) OR thread_id = @rootId)
+        ORDER BY message_id ASC
+        LIMIT @limit
+      `).all({ channelId: normalizedId, rootId: rootMessageId, limit });
+    }
+
+    if (!rows.length) {
+      return null;
     }
 
-    return matches;
+    const nodes = rows.map((row) => ({
+      messageId: row.message_id,
+      date: row.date ? new Date(row.date * 1000).toISOString() : null,
+      fromId: row.from_id,
+      text: row.text || '',
+      replyToMessageId: row.reply_to_message_id,
+      topicId: row.topic_id,
+      forward: forwardFromRow(row),
+      media: mediaFromRow(row),
+      deletedAt: row.deleted_at ?? null,
+    }));
+
+    return {
+      source: 'archive',
+      channelId: normalizedId,
+      rootMessageId,
+      topicId: topicId ?? null,
+      totalMessages: nodes.length,
+      tree: buildReplyTree(this._attachSenderNames(nodes)),
+    };
   }
 
-  getMessageStats(channelId) {
-    const normalizedId = String(normalizeChannelId(channelId));
-    const summary = this.db.prepare(`
-      SELECT
-        COUNT(*) AS total,
-        MIN(message_id) AS oldestMessageId,
-        MAX(message_id) AS newestMessageId,
-        MIN(date) AS oldestDate,
-        MAX(date) AS newestDate
+  getUser({ id, username } = {}) {
+    if (!id && !username) {
+      throw new Error('Either id or username is required');
+    }
+
+    const row = id
+      ? this.db.prepare('SELECT * FROM users WHERE id = ?').get(String(id))
+      : this.db.prepare('SELECT * FROM users WHERE lower(username) = lower(?)').get(String(username).replace(/^@/, ''));
+
+    if (!row) {
+      return null;
+    }
+
+    const activity = this.db.prepare(`
+      SELECT COUNT(*) AS total, COUNT(DISTINCT channel_id) AS channels, MAX(date) AS lastMessageDate
       FROM messages
-      WHERE channel_id = ?
-    `).get(normalizedId);
+      WHERE from_id = ?
+    `).get(row.id);
 
     return {
-      total: summary.total || 0,
-      oldestMessageId: summary.oldestMessageId || null,
-      newestMessageId: summary.newestMessageId || null,
-      oldestDate: summary.oldestDate ? new Date(summary.oldestDate * 1000).toISOString() : null,
-      newestDate: summary.newestDate ? new Date(summary.newestDate * 1000).toISOString() : null,
+      id: row.id,
+      type: row.peer_type,
+      displayName: row.display_name,
+      username: row.username,
+      isBot: Boolean(row.is_bot),
+      lastOnline: row.last_online ? new Date(row.last_online * 1000).toISOString() : null,
+      updatedAt: row.updated_at,
+      archivedMessages: activity.total || 0,
+      archivedChannels: activity.channels || 0,
+      lastArchivedMessageDate: activity.lastMessageDate
+        ? new Date(activity.lastMessageDate * 1000).toISOString()
+        : null,
     };
   }
 
+  rememberPeers(peers) {
+    const valid = peers.filter((peer) => peer && peer.id);
+    if (valid.length) {
+      this.upsertUsersTx(valid);
+    }
+  }
+
+  _lookupSenderNames(ids) {
+    const unique = [...new Set(ids.filter(Boolean))];
+    if (!unique.length) {
+      return new Map();
+    }
+
+    const rows = this.db.prepare(`
+      SELECT id, display_name
+      FROM users
+      WHERE id IN (${unique.map(() => '?').join(', ')})
+    `).all(...unique);
+
+    return new Map(rows.map((row) => [row.id, row.display_name]));
+  }
+
+  _attachSenderNames(items) {
+    const names = this._lookupSenderNames(items.map((item) => item.fromId));
+    return items.map((item) => ({ ...item, fromName: names.get(item.fromId) ?? null }));
+  }
+
+  recordMediaDownload(peerId, messageId, { path: localPath, sha256, username = null }) {
+    const job = this._findJobForPeer(String(peerId), username);
+    if (!job) {
+      return false;
+    }
+
+    const { changes } = this.db.prepare(`
+      UPDATE messages
+      SET media_local_path = ?, media_sha256 = ?
+      WHERE channel_id = ? AND message_id = ?
+    `).run(localPath, sha256, String(job.channel_id), messageId);
+
+    return changes > 0;
+  }
+
   async _processJob(job) {
     this._updateJobStatus(job.id, JOB_STATUS.IN_PROGRESS);
+    this.activeJobIds.add(job.id);
+    this.passStarts.set(job.id, { startedAt: Date.now(), progress: this._measureProgress(job).progress });
 
     try {
       const newerDetails = await this._syncNewerMessages(job);
+      const resolvedJob = { ...job, peer_id: newerDetails.peerId ?? job.peer_id };
 
       const backfillResult = await this._backfillHistory(
-        job,
+        resolvedJob,
         newerDetails.totalMessages,
         newerDetails.targetCount,
         newerDetails.lastMessageId,
@@ -245,30 +1832,276 @@ export default class MessageSyncService {
         backfillResult.hasMoreOlder;
 
       const finalStatus = shouldContinue ? JOB_STATUS.PENDING : JOB_STATUS.IDLE;
+      const nextRefreshAt = finalStatus === JOB_STATUS.IDLE
+        ? this._nextRefreshAt(this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(job.id))
+        : null;
 
+      this._throwIfStopped(job.id);
       this._updateJobRecord(job.id, {
         status: finalStatus,
+        peerId: newerDetails.peerId,
         peerTitle: newerDetails.peerTitle,
         peerType: newerDetails.peerType,
         lastMessageId: finalLatest,
         oldestMessageId: finalOldest,
         messageCount: finalCount,
-        targetCount: newerDetails.targetCount,
+        targetCount: job.target_message_count,
+        sinceReached: backfillResult.sinceReached,
+        nextRefreshAt,
       });
     } catch (error) {
-      const waitMatch = /wait of (\d+) seconds is required/i.exec(error.message || "");
-      if (waitMatch) {
-        const waitSeconds = Number(waitMatch[1]);
+      const waitSeconds = floodWaitSeconds(error);
+      if (error instanceof JobStoppedError) {
+        this._refreshJobProgress(job.id);
+      } else if (this.stoppedJobIds.has(job.id)) {
+        return;
+      } else if (waitSeconds !== null) {
+        this._refreshJobProgress(job.id);
         this.db.prepare(`
           UPDATE jobs
-          SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+          SET status = ?, error = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
           WHERE id = ?
-        `).run(JOB_STATUS.PENDING, `Rate limited, waiting ${waitSeconds}s`, job.id);
-        await delay(waitSeconds * 1000);
+        `).run(
+          JOB_STATUS.PENDING,
+          `Rate limited by Telegram, retrying in ${waitSeconds}s`,
+          Math.floor(Date.now() / 1000) + waitSeconds,
+          job.id,
+        );
       } else {
         this._markJobError(job.id, error);
       }
+    } finally {
+      this.activeJobIds.delete(job.id);
+      this.stoppedJobIds.delete(job.id);
+      this._emitProgress(job.id);
+      this.passStarts.delete(job.id);
+    }
+  }
+
+  _measureProgress(job) {
+    const fetched = this._countMessages(job.channel_id);
+    if (job.since_date) {
+      // Date windows progress by how far back the archive reaches, not by message count.
+      if (job.since_reached) {
+        return { fetched, target: job.target_message_count ?? null, progress: 1 };
+      }
+      const windowEnd = job.until_date ?? Math.floor(Date.now() / 1000);
+      const { oldest } = this.db.prepare('SELECT MIN(date) AS oldest FROM messages WHERE channel_id = ?').get(job.channel_id);
+      const span = windowEnd - job.since_date;
+      const progress = oldest && span > 0 ? Math.min(1, Math.max(0, (windowEnd - oldest) / span)) : 0;
+      return { fetched, target: job.target_message_count ?? null, progress };
+    }
+
+    const target = jobTargetCount(job);
+    return { fetched, target, progress: Math.min(1, fetched / target) };
+  }
+
+  _emitProgress(jobId) {
+    if (!this.progressListeners.size || !this.db.open) {
+      return;
+    }
+    const job = this.db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+    if (!job) {
+      return;
+    }
+    this._notifyProgressListeners(this._buildProgressEvent(job));
+  }
+
+  _buildProgressEvent(job) {
+    const { fetched, target, progress } = this._measureProgress(job);
+    const start = this.passStarts.get(job.id);
+    let etaSeconds = null;
+    if (start && progress < 1) {
+      const elapsedSeconds = (Date.now() - start.startedAt) / 1000;
+      const rate = (progress - start.progress) / elapsedSeconds;
+      etaSeconds = rate > 0 ? Math.round((1 - progress) / rate) : null;
+    }
+
+    const running = job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.IN_PROGRESS;
+    return {
+      jobId: job.id,
+      channelId: job.channel_id,
+      peerTitle: job.peer_title,
+      status: job.status,
+      fetched,
+      target,
+      progress: Math.round(progress * 1000) / 1000,
+      etaSeconds: running ? etaSeconds : null,
+      since: fromUnixSeconds(job.since_date),
+      nextRunAt: fromUnixSeconds(job.next_run_at),
+      error: job.error,
+      done: !running,
+    };
+  }
+
+  _notifyProgressListeners(event) {
+    for (const listener of this.progressListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('[sync] progress listener failed:', error?.message || error);
+      }
+    }
+  }
+
+  _emitArchiveChange(job) {
+    const event = { channelId: job.channel_id, peerId: job.peer_id ?? null };
+    for (const listener of this.archiveListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('[sync] archive listener failed:', error?.message || error);
+      }
+    }
+  }
+
+  _refreshJobProgress(id) {
+    this.db.prepare(`
+      UPDATE jobs
+      SET oldest_message_id = (SELECT MIN(message_id) FROM messages WHERE channel_id = jobs.channel_id),
+          message_count = (SELECT COUNT(*) FROM messages WHERE channel_id = jobs.channel_id),
+          coverage_start = (SELECT MIN(date) FROM messages WHERE channel_id = jobs.channel_id),
+          coverage_end = (SELECT MAX(date) FROM messages WHERE channel_id = jobs.channel_id),
+          last_synced_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(id);
+  }
+
+  _handleUpdate(update) {
+    if (!update || this.stopRequested || !this.db.open) {
+      return;
+    }
+
+    switch (update.name) {
+      case 'new_message':
+        this._ingestLiveMessage(update.data);
+        break;
+      case 'message_group':
+        for (const message of update.data) {
+          this._ingestLiveMessage(message);
+        }
+        break;
+      case 'edit_message':
+        this._ingestLiveMessage(update.data);
+        break;
+      case 'delete_message':
+        this._applyLiveDeletion(update.data);
+        break;
+      default:
+        break;
+    }
+  }
+
+  _findJobForPeer(peerId, username = null) {
+    return this.db.prepare(`
+      SELECT * FROM jobs
+      WHERE peer_id = @peerId
+         OR channel_id = @peerId
+         OR (@username IS NOT NULL AND lower(ltrim(channel_id, '@')) = lower(@username))
+      LIMIT 1
+    `).get({ peerId, username });
+  }
+
+  _ingestLiveMessage(message) {
+    const chat = message?.chat;
+    const peerId = chat?.id?.toString?.();
+    if (!peerId) {
+      return false;
+    }
+
+    const username = 'username' in chat ? chat.username ?? null : null;
+    const job = this._findJobForPeer(peerId, username);
+    if (!job || job.status === JOB_STATUS.PAUSED) {
+      return false;
     }
+
+    const serialized = this.telegramClient._serializeMessage(message, chat);
+    if (job.until_date && serialized.date > job.until_date) {
+      return false;
+    }
+    const record = this._buildMessageRecord(job.channel_id, serialized);
+
+    this.insertMessageStmt.run(record);
+    this.rememberPeers([serialized.sender]);
+    this.watchRules.evaluate({ ...job, peer_id: job.peer_id ?? peerId }, [record]);
+
+    this.db.prepare(`
+      UPDATE jobs
+      SET last_message_id = CASE
+            WHEN status = '${JOB_STATUS.IDLE}' THEN MAX(COALESCE(last_message_id, 0), @messageId)
+            ELSE last_message_id
+          END,
+          peer_id = COALESCE(peer_id, @peerId),
+          message_count = (SELECT COUNT(*) FROM messages WHERE channel_id = jobs.channel_id),
+          coverage_start = MIN(COALESCE(coverage_start, @date), @date),
+          coverage_end = MAX(COALESCE(coverage_end, @date), @date),
+          last_synced_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run({ messageId: serialized.id, peerId, date: serialized.date, id: job.id });
+    this._emitArchiveChange({ ...job, peer_id: job.peer_id ?? peerId });
+
+    return true;
+  }
+
+  _applyLiveDeletion(update) {
+    const messageIds = update?.messageIds ?? [];
+    if (!messageIds.length) {
+      return;
+    }
+
+    const jobs = update.channelId
+      ? [this._findJobForPeer(String(update.channelId))].filter(Boolean)
+      : this.db.prepare(`
+        SELECT * FROM jobs
+        WHERE peer_type IN ('user', 'chat')
+          AND (peer_id GLOB '[0-9]*' OR peer_id GLOB '-[0-9]*')
+          AND CAST(peer_id AS INTEGER) > -1000000000000
+      `).all();
+
+    if (!jobs.length) {
+      return;
+    }
+
+    const placeholders = messageIds.map(() => '?').join(', ');
+    const markDeletedStmt = this.db.prepare(`
+      UPDATE messages
+      SET deleted_at = CURRENT_TIMESTAMP
+      WHERE channel_id = ? AND message_id IN (${placeholders}) AND deleted_at IS NULL
+    `);
+
+    const changedJobs = this.db.transaction(() => jobs.filter(
+      (job) => markDeletedStmt.run(String(job.channel_id), ...messageIds).changes > 0,
+    ))();
+    for (const job of changedJobs) {
+      this._emitArchiveChange(job);
+    }
+  }
+
+  _buildMessageRecord(channelId, message) {
+    return {
+      channel_id: String(channelId),
+      message_id: message.id,
+      date: message.date ?? null,
+      edit_date: message.edit_date ?? null,
+      from_id: message.from_id ?? null,
+      text: message.text ?? null,
+      raw_json: JSON.stringify(message),
+      media_type: message.media?.type ?? null,
+      media_mime_type: message.media?.mimeType ?? null,
+      media_file_name: message.media?.fileName ?? null,
+      media_file_size: message.media?.fileSize ?? null,
+      media_duration: message.media?.duration ?? null,
+      media_width: message.media?.width ?? null,
+      media_height: message.media?.height ?? null,
+      reply_to_message_id: message.reply_to_message_id ?? null,
+      thread_id: message.thread_id ?? null,
+      topic_id: message.topic_id ?? null,
+      forward_from_id: message.forward?.fromId ?? null,
+      forward_from_name: message.forward?.fromName ?? null,
+      forward_from_chat_id: message.forward?.fromChatId ?? null,
+      forward_from_message_id: message.forward?.fromMessageId ?? null,
+      forward_date: message.forward?.date ?? null,
+    };
   }
 
   _updateJobStatus(id, status) {
@@ -281,34 +2114,46 @@ export default class MessageSyncService {
 
   _updateJobRecord(id, {
     status,
+    peerId,
     peerTitle,
     peerType,
     lastMessageId,
     oldestMessageId,
     messageCount,
     targetCount,
+    sinceReached,
+    nextRefreshAt,
   }) {
     this.db.prepare(`
       UPDATE jobs
       SET status = ?,
+          peer_id = COALESCE(?, peer_id),
           peer_title = ?,
           peer_type = ?,
           last_message_id = ?,
           oldest_message_id = ?,
           message_count = ?,
           target_message_count = ?,
+          since_reached = ?,
+          next_refresh_at = ?,
+          next_run_at = NULL,
+          coverage_start = (SELECT MIN(date) FROM messages WHERE channel_id = jobs.channel_id),
+          coverage_end = (SELECT MAX(date) FROM messages WHERE channel_id = jobs.channel_id),
           last_synced_at = CURRENT_TIMESTAMP,
           error = NULL,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `).run(
       status,
+      peerId ?? null,
       peerTitle,
       peerType,
       lastMessageId ?? 0,
       oldestMessageId ?? null,
       messageCount ?? 0,
-      targetCount ?? DEFAULT_TARGET_MESSAGES,
+      targetCount ?? null,
+      sinceReached ? 1 : 0,
+      nextRefreshAt ?? null,
       id,
     );
   }
@@ -331,91 +2176,113 @@ export default class MessageSyncService {
 
   async _syncNewerMessages(job) {
     const minId = job.last_message_id || 0;
-    const { peerTitle, peerType, messages } = await this.telegramClient.getMessagesByChannelId(job.channel_id, this.batchSize, { minId });
+    const { peerTitle, peerId, peerType, messages } = await this._callTelegram(
+      'messages.getHistory',
+      () => this.telegramClient.getMessagesByChannelId(job.channel_id, this.batchSize, { minId }),
+    );
 
     const newMessages = messages
       .filter((msg) => msg.id > minId)
+      .filter((msg) => !job.until_date || msg.date <= job.until_date)
       .sort((a, b) => a.id - b.id);
 
     let lastMessageId = job.last_message_id || 0;
     let oldestMessageId = job.oldest_message_id || null;
 
+    this._throwIfStopped(job.id);
+
     if (newMessages.length) {
-      const records = newMessages.map((msg) => ({
-        channel_id: String(job.channel_id),
-        message_id: msg.id,
-        date: msg.date ?? null,
-        from_id: msg.from_id ?? null,
-        text: msg.text ?? null,
-        raw_json: JSON.stringify(msg),
-      }));
+      const records = newMessages.map((msg) => this._buildMessageRecord(job.channel_id, msg));
+      // A new job's first page and the catch-up after a restart are history, not live traffic.
+      const historical = !job.last_message_id || this.catchUpJobIds.has(job.id);
 
       this.insertMessagesTx(records);
+      this.rememberPeers(newMessages.map((msg) => msg.sender));
+      this.watchRules.evaluate({ ...job, peer_id: peerId ?? job.peer_id }, records, { historical });
+      this._emitProgress(job.id);
+      this._emitArchiveChange(job);
 
       lastMessageId = newMessages[newMessages.length - 1].id;
       oldestMessageId = oldestMessageId ? Math.min(oldestMessageId, newMessages[0].id) : newMessages[0].id;
     }
 
     const totalMessages = this._countMessages(job.channel_id);
+    const hasMoreNewer = newMessages.length >= this.batchSize;
+    if (!hasMoreNewer) {
+      this.catchUpJobIds.delete(job.id);
+    }
 
     return {
       peerTitle,
+      peerId,
       peerType,
       lastMessageId,
       oldestMessageId,
       totalMessages,
-      targetCount: job.target_message_count || DEFAULT_TARGET_MESSAGES,
-      hasMoreNewer: newMessages.length >= this.batchSize,
+      targetCount: jobTargetCount(job),
+      hasMoreNewer,
     };
   }
 
   async _backfillHistory(job, currentCount, targetCount, newestMessageId) {
-    if (currentCount >= targetCount) {
+    const sinceDate = job.since_date ?? null;
+    if (currentCount >= targetCount || (sinceDate && job.since_reached)) {
       return {
         finalCount: currentCount,
         oldestMessageId: job.oldest_message_id ?? null,
         hasMoreOlder: false,
         insertedCount: 0,
+        sinceReached: Boolean(job.since_reached),
       };
     }
 
-    const peer = await this.telegramClient.client.resolvePeer(
-      normalizeChannelId(job.channel_id),
+    const peer = await this._callTelegram(
+      peerLookupMethod(job.channel_id),
+      () => this.telegramClient.client.getPeer(normalizeChannelId(job.channel_id)),
     );
 
     let total = currentCount;
     let currentOldest = job.oldest_message_id ?? null;
     let insertedCount = 0;
+    let sinceReached = false;
     let nextOffsetId = job.oldest_message_id ?? newestMessageId ?? job.last_message_id ?? 0;
+    // Nothing archived yet for a window that ends in the past: start right below its upper bound.
+    let nextOffsetDate = !nextOffsetId && job.until_date ? job.until_date + 1 : 0;
 
     while (total < targetCount) {
-      if (!nextOffsetId || nextOffsetId <= 1) {
+      if ((!nextOffsetId || nextOffsetId <= 1) && !nextOffsetDate) {
+        sinceReached = Boolean(sinceDate);
         break;
       }
 
       const chunkLimit = Math.min(this.batchSize, targetCount - total);
-      const iterator = this.telegramClient.client.iterHistory(peer, {
-        limit: chunkLimit,
-        chunkSize: chunkLimit,
-        reverse: false,
-        offset: { id: nextOffsetId, date: 0 },
-        addOffset: 0,
+      const chunk = await this._callTelegram('messages.getHistory', async () => {
+        const messages = [];
+        for await (const message of this.telegramClient.client.iterHistory(peer, {
+          limit: chunkLimit,
+          chunkSize: chunkLimit,
+          reverse: false,
+          offset: { id: nextOffsetId, date: nextOffsetDate },
+          addOffset: 0,
+        })) {
+          messages.push(message);
+        }
+        return messages;
       });
 
       const records = [];
+      const senders = [];
       let lowestIdInChunk = null;
       let chunkCount = 0;
 
-      for await (const message of iterator) {
+      for (const message of chunk) {
         const serialized = this.telegramClient._serializeMessage(message, peer);
-        records.push({
-          channel_id: String(job.channel_id),
-          message_id: serialized.id,
-          date: serialized.date ?? null,
-          from_id: serialized.from_id ?? null,
-          text: serialized.text ?? null,
-          raw_json: JSON.stringify(serialized),
-        });
+        if (sinceDate && serialized.date < sinceDate) {
+          sinceReached = true;
+          break;
+        }
+        records.push(this._buildMessageRecord(job.channel_id, serialized));
+        senders.push(serialized.sender);
 
         lowestIdInChunk = lowestIdInChunk === null
           ? serialized.id
@@ -426,28 +2293,35 @@ export default class MessageSyncService {
         chunkCount += 1;
       }
 
+      this._throwIfStopped(job.id);
+
       if (!records.length) {
+        sinceReached = Boolean(sinceDate);
         break;
       }
 
       this.insertMessagesTx(records);
+      this.rememberPeers(senders);
+      this.watchRules.evaluate(job, records, { historical: true });
+      this._emitProgress(job.id);
+      this._emitArchiveChange(job);
 
       total += chunkCount;
       insertedCount += chunkCount;
       nextOffsetId = lowestIdInChunk ?? nextOffsetId;
+      nextOffsetDate = 0;
 
-      if (total >= targetCount) {
+      if (total >= targetCount || sinceReached) {
         break;
       }
-
-      await delay(this.interBatchDelayMs);
     }
 
     return {
       finalCount: this._countMessages(job.channel_id),
       oldestMessageId: currentOldest,
-      hasMoreOlder: insertedCount > 0 && total < targetCount,
+      hasMoreOlder: insertedCount > 0 && total < targetCount && !sinceReached,
       insertedCount,
+      sinceReached,
     };
   }
 }
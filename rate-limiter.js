@@ -0,0 +1,63 @@
+import { setTimeout as delay } from 'timers/promises';
+
+const DEFAULT_RATE_PER_SECOND = 1;
+const DEFAULT_BURST = 3;
+
+// Token buckets keyed by Telegram method name, shared by every sync worker.
+// A flood wait reported for a method blocks its bucket until the wait is over.
+export default class RateLimiter {
+  constructor(options = {}) {
+    this.ratePerSecond = options.ratePerSecond > 0 ? Number(options.ratePerSecond) : DEFAULT_RATE_PER_SECOND;
+    this.burst = options.burst > 0 ? Number(options.burst) : DEFAULT_BURST;
+    this.methodLimits = options.methods ?? {};
+    this.buckets = new Map();
+  }
+
+  async acquire(method) {
+    const bucket = this._bucket(method);
+    this._refill(bucket);
+
+    // Take the token now and sleep off any deficit, so concurrent callers queue up fairly.
+    bucket.tokens -= 1;
+    if (bucket.tokens < 0) {
+      await delay((-bucket.tokens / bucket.ratePerSecond) * 1000);
+    }
+
+    while (bucket.blockedUntil > Date.now()) {
+      await delay(bucket.blockedUntil - Date.now());
+    }
+  }
+
+  penalize(method, seconds) {
+    const bucket = this._bucket(method);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + seconds * 1000);
+    bucket.tokens = Math.min(bucket.tokens, 0);
+    bucket.updatedAt = Math.max(bucket.updatedAt, bucket.blockedUntil);
+  }
+
+  _bucket(method) {
+    let bucket = this.buckets.get(method);
+    if (!bucket) {
+      const limits = this.methodLimits[method] ?? {};
+      const burst = limits.burst ?? this.burst;
+      bucket = {
+        ratePerSecond: limits.ratePerSecond ?? this.ratePerSecond,
+        burst,
+        tokens: burst,
+        updatedAt: Date.now(),
+        blockedUntil: 0,
+      };
+      this.buckets.set(method, bucket);
+    }
+    return bucket;
+  }
+
+  _refill(bucket) {
+    const now = Date.now();
+    if (now <= bucket.updatedAt) {
+      return;
+    }
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.ratePerSecond);
+    bucket.updatedAt = now;
+  }
+}
@@ -1,13 +1,20 @@
-import { TelegramClient as MtCuteClient } from '@mtcute/node';
+import { TelegramClient as MtCuteClient, FileLocation, html, md, tl } from '@mtcute/node';
 import EventEmitter from 'events';
 import readline from 'readline';
 import path from 'path';
 import fs from 'fs';
+import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
 
 function sanitizeString(value) {
   return typeof value === 'string' ? value : '';
 }
 
+function maskPhoneNumber(phone) {
+  const digits = String(phone ?? '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : digits;
+}
+
 function coerceApiId(value) {
   if (typeof value === 'number') {
     return value;
@@ -25,9 +32,138 @@ function normalizePeerType(peer) {
   if (!peer) return 'chat';
   if (peer.type === 'user' || peer.type === 'bot') return 'user';
   if (peer.type === 'channel') return 'channel';
+  if (typeof peer.raw?._ === 'string' && peer.raw._.startsWith('channel')) return 'channel';
   return 'chat';
 }
 
+function toEpochSeconds(value) {
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+  if (typeof value === 'number') {
+    return Math.floor(value);
+  }
+  return null;
+}
+
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'application/x-tgsticker': '.tgs',
+  'application/pdf': '.pdf',
+};
+
+function readMediaField(media, field) {
+  return field in media && media[field] !== undefined ? media[field] : null;
+}
+
+export function describeMedia(media) {
+  if (!media) {
+    return null;
+  }
+
+  const downloadable = media instanceof FileLocation;
+  const mimeType = readMediaField(media, 'mimeType') ?? (media.type === 'photo' ? 'image/jpeg' : null);
+
+  return {
+    type: media.type ?? 'unknown',
+    mimeType,
+    fileName: readMediaField(media, 'fileName'),
+    fileSize: downloadable ? media.fileSize ?? null : null,
+    duration: readMediaField(media, 'duration'),
+    width: readMediaField(media, 'width'),
+    height: readMediaField(media, 'height'),
+    downloadable,
+  };
+}
+
+export function describePeer(peer) {
+  if (!peer || !('id' in peer)) {
+    return null;
+  }
+
+  return {
+    id: peer.id.toString(),
+    type: normalizePeerType(peer),
+    displayName: peer.displayName || null,
+    username: 'username' in peer ? peer.username ?? null : null,
+    isBot: 'isBot' in peer ? Boolean(peer.isBot) : false,
+    lastOnline: 'lastOnline' in peer ? toEpochSeconds(peer.lastOnline) : null,
+  };
+}
+
+function describeReply(message) {
+  const reply = message.replyToMessage;
+  if (!reply) {
+    return { replyToMessageId: null, threadId: null, topicId: null };
+  }
+
+  const threadId = reply.threadId ?? null;
+  return {
+    replyToMessageId: reply.id ?? null,
+    threadId,
+    topicId: message.isTopicMessage ? threadId ?? reply.id ?? null : null,
+  };
+}
+
+function describeForward(message) {
+  const forward = message.forward;
+  if (!forward) {
+    return null;
+  }
+
+  const sender = forward.sender;
+  const fromChat = forward.fromChat();
+  return {
+    fromId: sender && 'id' in sender ? sender.id.toString() : null,
+    fromName: sender?.displayName ?? null,
+    fromChatId: fromChat?.id?.toString?.() ?? null,
+    fromMessageId: forward.fromMessageId ?? null,
+    date: toEpochSeconds(forward.date),
+  };
+}
+
+async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+function formatInputText(text, parseMode) {
+  const value = sanitizeString(text);
+  if (parseMode === 'markdown') {
+    return md(value);
+  }
+  if (parseMode === 'html') {
+    return html(value);
+  }
+  if (parseMode && parseMode !== 'plain') {
+    throw new Error(`Unsupported parse mode: ${parseMode}`);
+  }
+  return value;
+}
+
+function coerceScheduleDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid schedule date: ${value}`);
+  }
+  if (date.getTime() <= Date.now()) {
+    throw new Error('Schedule date must be in the future');
+  }
+  return date;
+}
+
 export function normalizeChannelId(channelId) {
   if (typeof channelId === 'number') {
     return channelId;
@@ -49,11 +185,13 @@ export function normalizeChannelId(channelId) {
 }
 
 class TelegramClient {
-  constructor(apiId, apiHash, phoneNumber, sessionPath = './data/session.json') {
+  constructor(apiId, apiHash, phoneNumber, sessionPath = './data/session.json', options = {}) {
     this.apiId = coerceApiId(apiId);
     this.apiHash = sanitizeString(apiHash);
     this.phoneNumber = sanitizeString(phoneNumber);
     this.sessionPath = path.resolve(sessionPath);
+    this.mediaDir = path.join(path.dirname(this.sessionPath), 'media');
+    this.interactiveLogin = options.interactiveLogin ?? true;
 
     const dataDir = path.dirname(this.sessionPath);
     if (!fs.existsSync(dataDir)) {
@@ -68,6 +206,8 @@ class TelegramClient {
 
     this.updateEmitter = new EventEmitter();
     this.updatesRunning = false;
+    this._updateHandler = null;
+    this.loginFlow = null;
   }
 
   _isUnauthorizedError(error) {
@@ -113,6 +253,11 @@ class TelegramClient {
         return true;
       }
 
+      if (!this.interactiveLogin) {
+        console.log('Telegram session is not authorized; waiting for login through the login tools.');
+        return false;
+      }
+
       if (!this.phoneNumber) {
         throw new Error('TELEGRAM_PHONE_NUMBER is not configured.');
       }
@@ -136,31 +281,188 @@ class TelegramClient {
 
   async ensureLogin() {
     if (!(await this._isAuthorized())) {
-      throw new Error('Not logged in to Telegram. Please restart the server.');
+      throw new Error('Not authenticated with Telegram. Log in with startLogin/submitLoginCode or startQrLogin first.');
     }
     return true;
   }
 
+  onAuthorized(listener) {
+    this.updateEmitter.on('authorized', listener);
+    return () => this.updateEmitter.off('authorized', listener);
+  }
+
+  async getLoginStatus() {
+    const authorized = await this._isAuthorized();
+    const flow = authorized ? null : this.loginFlow;
+    return {
+      authorized,
+      step: authorized ? 'done' : flow?.step ?? 'idle',
+      phoneNumber: flow?.phone ? maskPhoneNumber(flow.phone) : null,
+      codeType: flow?.codeType ?? null,
+      passwordHint: flow?.passwordHint ?? null,
+      qrUrl: flow?.qrUrl ?? null,
+      qrExpiresAt: flow?.qrExpires ? flow.qrExpires.toISOString() : null,
+      error: flow?.error ?? null,
+    };
+  }
+
+  async startLogin(phoneNumber) {
+    const phone = sanitizeString(phoneNumber) || this.phoneNumber;
+    if (!phone) {
+      throw new Error('No phone number given and TELEGRAM_PHONE_NUMBER is not configured.');
+    }
+    if (await this._isAuthorized()) {
+      return this.getLoginStatus();
+    }
+
+    this.cancelLogin();
+    const sent = await this.client.sendCode({ phone });
+    if (!('phoneCodeHash' in sent)) {
+      // sendCode hands back the user when the session got authorized in the meantime.
+      this._completeLogin();
+      return this.getLoginStatus();
+    }
+
+    this.loginFlow = {
+      step: 'code',
+      phone,
+      phoneCodeHash: sent.phoneCodeHash,
+      codeType: sent.type,
+    };
+    return this.getLoginStatus();
+  }
+
+  async submitLoginCode(code) {
+    const flow = this.loginFlow;
+    if (flow?.step !== 'code') {
+      throw new Error('No login code is expected; call startLogin first.');
+    }
+
+    try {
+      await this.client.signIn({
+        phone: flow.phone,
+        phoneCodeHash: flow.phoneCodeHash,
+        phoneCode: String(code).trim(),
+      });
+    } catch (error) {
+      if (tl.RpcError.is(error, 'SESSION_PASSWORD_NEEDED')) {
+        flow.step = 'password';
+        flow.passwordHint = await this.client.getPasswordHint().catch(() => null);
+        return this.getLoginStatus();
+      }
+      throw error;
+    }
+
+    this._completeLogin();
+    return this.getLoginStatus();
+  }
+
+  async submitLoginPassword(password) {
+    const flow = this.loginFlow;
+    if (flow?.step === 'qr_password') {
+      const rejected = new Promise((resolve) => {
+        flow.onPasswordRejected = resolve;
+      });
+      flow.error = null;
+      flow.step = 'qr_scanned';
+      flow.resolvePassword(password);
+      await Promise.race([flow.done, rejected]);
+      return this.getLoginStatus();
+    }
+    if (flow?.step !== 'password') {
+      throw new Error('No 2FA password is expected; submit the login code first.');
+    }
+
+    await this.client.checkPassword(password);
+    this._completeLogin();
+    return this.getLoginStatus();
+  }
+
+  async startQrLogin() {
+    if (await this._isAuthorized()) {
+      return this.getLoginStatus();
+    }
+
+    this.cancelLogin();
+    const abortController = new AbortController();
+    const flow = { step: 'qr', abortController };
+    this.loginFlow = flow;
+
+    let urlReady;
+    const firstUrl = new Promise((resolve) => {
+      urlReady = resolve;
+    });
+
+    flow.done = this.client.signInQr({
+      onUrlUpdated: (url, expires) => {
+        flow.qrUrl = url;
+        flow.qrExpires = expires;
+        urlReady();
+      },
+      onQrScanned: () => {
+        flow.step = 'qr_scanned';
+      },
+      password: () => new Promise((resolve) => {
+        flow.step = 'qr_password';
+        flow.resolvePassword = resolve;
+      }),
+      invalidPasswordCallback: () => {
+        flow.error = 'Invalid 2FA password';
+        flow.onPasswordRejected?.();
+      },
+      abortSignal: abortController.signal,
+    }).then(
+      () => this._completeLogin(),
+      (error) => {
+        if (this.loginFlow === flow && !abortController.signal.aborted) {
+          flow.step = 'failed';
+          flow.error = error?.message ?? String(error);
+        }
+      },
+    );
+
+    await Promise.race([firstUrl, flow.done]);
+    return this.getLoginStatus();
+  }
+
+  cancelLogin() {
+    this.loginFlow?.abortController?.abort();
+    this.loginFlow = null;
+  }
+
+  _completeLogin() {
+    this.loginFlow = null;
+    console.log('Logged in successfully!');
+    this.updateEmitter.emit('authorized');
+  }
+
   async initializeDialogCache() {
     console.log('Initializing dialog list...');
     const loginSuccess = await this.login();
     if (!loginSuccess) {
-      throw new Error('Failed to login to Telegram. Cannot proceed.');
+      return false;
     }
     await this.startUpdates();
     console.log('Dialogs ready.');
     return true;
   }
 
-  async listDialogs(limit = 50) {
+  async listDialogs(limit = 50, options = {}) {
     await this.ensureLogin();
     const effectiveLimit = limit && limit > 0 ? limit : Infinity;
+    const { offset = 0 } = options;
     const results = [];
+    let skipped = 0;
 
     for await (const dialog of this.client.iterDialogs({})) {
       const peer = dialog.peer;
       if (!peer) continue;
 
+      if (skipped < offset) {
+        skipped += 1;
+        continue;
+      }
+
       const id = peer.id.toString();
       const username = 'username' in peer ? peer.username ?? null : null;
       results.push({
@@ -220,7 +522,7 @@ class TelegramClient {
       reverse = false,
     } = options;
     const peerRef = normalizeChannelId(channelId);
-    const peer = await this.client.resolvePeer(peerRef);
+    const peer = await this.client.getPeer(peerRef);
 
     const effectiveLimit = limit && limit > 0 ? limit : 100;
     const messages = [];
@@ -256,12 +558,8 @@ class TelegramClient {
 
   _serializeMessage(message, peer) {
     const id = typeof message.id === 'number' ? message.id : Number(message.id || 0);
-    let dateSeconds = null;
-    if (message.date instanceof Date) {
-      dateSeconds = Math.floor(message.date.getTime() / 1000);
-    } else if (typeof message.date === 'number') {
-      dateSeconds = Math.floor(message.date);
-    }
+    const dateSeconds = toEpochSeconds(message.date);
+    const editDateSeconds = toEpochSeconds(message.editDate);
 
     let textContent = '';
     if (typeof message.text === 'string') {
@@ -274,19 +572,178 @@ class TelegramClient {
 
     const sender = message.sender || message.from || message.author;
     const senderId = sender?.id ? sender.id.toString() : 'unknown';
+    const reply = describeReply(message);
 
     return {
       id,
       date: dateSeconds,
+      edit_date: editDateSeconds,
       message: textContent,
       text: textContent,
       from_id: senderId,
+      from_name: sender?.displayName ?? null,
+      sender: describePeer(sender),
+      media: describeMedia(message.media),
+      reply_to_message_id: reply.replyToMessageId,
+      thread_id: reply.threadId,
+      topic_id: reply.topicId,
+      forward: describeForward(message),
       peer_type: normalizePeerType(peer),
       peer_id: peer?.id?.toString?.() ?? 'unknown',
       raw: message.raw ?? null,
     };
   }
 
+  async getUserInfo(userId) {
+    await this.ensureLogin();
+    const peer = await this.client.getPeer(normalizeChannelId(userId));
+    return describePeer(peer);
+  }
+
+  // Marked peer ID (-100… for channels) of a chat given by username or ID.
+  async resolvePeerId(chatId) {
+    await this.ensureLogin();
+    const peer = await this.client.getPeer(normalizeChannelId(chatId));
+    return peer.id.toString();
+  }
+
+  async getThreadMessages(channelId, threadId, limit = 200) {
+    await this.ensureLogin();
+
+    const peer = await this.client.resolvePeer(normalizeChannelId(channelId));
+    const [root] = await this.client.getMessages(peer, [threadId]);
+    const messages = root ? [this._serializeMessage(root, root.chat)] : [];
+
+    for await (const message of this.client.iterSearchMessages({
+      chatId: peer,
+      threadId,
+      limit,
+    })) {
+      if (message.id !== threadId) {
+        messages.push(this._serializeMessage(message, message.chat));
+      }
+      if (messages.length >= limit) {
+        break;
+      }
+    }
+
+    return messages.sort((a, b) => a.id - b.id);
+  }
+
+  async sendMessage(channelId, text, options = {}) {
+    await this.ensureLogin();
+
+    const {
+      parseMode,
+      silent = false,
+      scheduleDate,
+      replyToMessageId,
+      disableWebPreview = false,
+    } = options;
+    const peer = await this.client.resolvePeer(normalizeChannelId(channelId));
+
+    const message = await this.client.sendText(peer, formatInputText(text, parseMode), {
+      replyTo: replyToMessageId || undefined,
+      silent,
+      schedule: coerceScheduleDate(scheduleDate),
+      disableWebPreview,
+    });
+
+    return this._serializeMessage(message, message.chat);
+  }
+
+  async replyToMessage(channelId, messageId, text, options = {}) {
+    return this.sendMessage(channelId, text, {
+      ...options,
+      replyToMessageId: messageId,
+    });
+  }
+
+  async forwardMessages(fromChannelId, messageIds, toChannelId, options = {}) {
+    await this.ensureLogin();
+
+    const { silent = false, scheduleDate, noAuthor = false } = options;
+    const fromPeer = await this.client.resolvePeer(normalizeChannelId(fromChannelId));
+    const toPeer = await this.client.resolvePeer(normalizeChannelId(toChannelId));
+
+    const forwarded = await this.client.forwardMessagesById({
+      fromChatId: fromPeer,
+      toChatId: toPeer,
+      messages: messageIds,
+      silent,
+      schedule: coerceScheduleDate(scheduleDate),
+      noAuthor,
+    });
+
+    return forwarded.map((message) => this._serializeMessage(message, message.chat));
+  }
+
+  async editOwnMessage(channelId, messageId, text, options = {}) {
+    await this.ensureLogin();
+
+    const { parseMode, disableWebPreview = false } = options;
+    const peer = await this.client.resolvePeer(normalizeChannelId(channelId));
+    const [existing] = await this.client.getMessages(peer, [messageId]);
+
+    if (!existing) {
+      throw new Error(`Message ${messageId} not found in ${channelId}`);
+    }
+
+    const me = await this.client.getMe();
+    const isOwn = existing.isOutgoing || existing.sender?.id === me.id;
+    if (!isOwn) {
+      throw new Error(`Message ${messageId} was not sent by this account and cannot be edited`);
+    }
+
+    const message = await this.client.editMessage({
+      message: existing,
+      text: formatInputText(text, parseMode),
+      disableWebPreview,
+    });
+
+    return this._serializeMessage(message, message.chat);
+  }
+
+  async downloadMedia(channelId, messageId) {
+    await this.ensureLogin();
+
+    const peer = await this.client.resolvePeer(normalizeChannelId(channelId));
+    const [message] = await this.client.getMessages(peer, [messageId]);
+
+    if (!message) {
+      throw new Error(`Message ${messageId} not found in ${channelId}`);
+    }
+
+    const media = message.media;
+    if (!(media instanceof FileLocation)) {
+      throw new Error(`Message ${messageId} has no downloadable media`);
+    }
+
+    const descriptor = describeMedia(media);
+    const peerId = message.chat?.id?.toString?.() ?? String(channelId);
+    const baseName = descriptor.fileName
+      ? path.basename(descriptor.fileName).replace(/[^\w.\-]+/g, '_')
+      : `${descriptor.type}${MEDIA_EXTENSIONS[descriptor.mimeType] ?? '.bin'}`;
+    const targetDir = path.join(this.mediaDir, peerId);
+    const filePath = path.join(targetDir, `${messageId}-${baseName}`);
+
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
+
+    await this.client.downloadToFile(filePath, media);
+
+    return {
+      peerId,
+      username: message.chat && 'username' in message.chat ? message.chat.username ?? null : null,
+      messageId,
+      path: filePath,
+      size: fs.statSync(filePath).size,
+      sha256: await hashFile(filePath),
+      media: descriptor,
+    };
+  }
+
   filterMessagesByPattern(messages, pattern) {
     if (!Array.isArray(messages)) {
       return [];
@@ -299,12 +756,8 @@ class TelegramClient {
   }
 
   async destroy() {
-    if (this.updatesRunning && this.client?.updates?.stop) {
-      try {
-        await this.client.updates.stop();
-      } catch (error) {
-        console.warn('[warning] failed to stop updates loop:', error?.message || error);
-      }
+    if (this.updatesRunning) {
+      this.client.onUpdate.remove(this._updateHandler);
       this.updatesRunning = false;
     }
     await this.client.destroy();
@@ -320,20 +773,24 @@ class TelegramClient {
       return;
     }
 
-    if (!this.client?.updates?.start) {
+    if (!this.client?.onUpdate?.add) {
       return;
     }
 
+    this._updateHandler = (update) => {
+      try {
+        this.updateEmitter.emit('update', update);
+      } catch (error) {
+        console.warn('[warning] update handler error:', error?.stack || error);
+      }
+    };
+
     try {
-      await this.client.updates.start(async (update) => {
-        try {
-          this.updateEmitter.emit('update', update);
-        } catch (error) {
-          console.warn('[warning] update handler error:', error?.stack || error);
-        }
-      });
+      this.client.onUpdate.add(this._updateHandler);
+      await this.client.startUpdatesLoop();
       this.updatesRunning = true;
     } catch (error) {
+      this.client.onUpdate.remove(this._updateHandler);
       console.warn('[warning] failed to start updates loop:', error?.message || error);
     }
   }
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeArchiveExport } from '../archive-export.js';
+
+async function exportTo(t, format, dialog, messages) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-export-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, `export.${format}`);
+  const count = await writeArchiveExport(filePath, format, dialog, messages);
+  return { count, content: fs.readFileSync(filePath, 'utf8') };
+}
+
+async function exportCsv(t, messages) {
+  const { count, content } = await exportTo(t, 'csv', { channelId: '-1001' }, messages);
+  return { count, rows: content.split('\r\n') };
+}
+
+test('CSV export quotes cells with commas, quotes and line breaks', async (t) => {
+  const { count, rows } = await exportCsv(t, [
+    { id: 1, date: 1704110400, fromId: '42', fromName: 'Doe, Jane', text: 'She said "hi"' },
+    { id: 2, date: 1704110460, fromId: '42', fromName: 'Jane', text: 'line one\nline two' },
+    { id: 3, date: 1704110520, fromId: '42', fromName: 'Jane', text: 'plain text' },
+  ]);
+
+  assert.equal(count, 3);
+  assert.equal(rows[0], 'message_id,date,edit_date,from_id,from_name,text,reply_to_message_id,topic_id,forwarded_from,deleted_at,media_type,media_file_name,media_path');
+  assert.equal(rows[1], '1,2024-01-01T12:00:00.000Z,,42,"Doe, Jane","She said ""hi""",,,,,,,');
+  assert.equal(rows[2], '2,2024-01-01T12:01:00.000Z,,42,Jane,"line one\nline two",,,,,,,');
+  assert.equal(rows[3], '3,2024-01-01T12:02:00.000Z,,42,Jane,plain text,,,,,,,');
+  assert.equal(rows[4], '');
+});
+
+test('CSV export keeps carriage returns inside quoted cells', async (t) => {
+  const { rows } = await exportCsv(t, [{ id: 1, date: 1704110400, text: 'a\r\nb', media: { type: 'photo', fileName: null } }]);
+  assert.equal(`${rows[1]}\r\n${rows[2]}`, '1,2024-01-01T12:00:00.000Z,,,,"a\r\nb",,,,,photo,,');
+});
+
+test('Markdown export puts messages without a date under an unknown-date heading', async (t) => {
+  const dialog = { channelId: '-1001', title: 'News', exportedAt: '2024-01-02T00:00:00.000Z' };
+  const { count, content } = await exportTo(t, 'markdown', dialog, [
+    { id: 1, date: null, fromName: 'Jane', text: 'undated' },
+    { id: 2, date: 1704110400, fromName: 'Jane', text: 'dated' },
+  ]);
+
+  assert.equal(count, 2);
+  assert.match(content, /## Unknown date\n\n\*\*Jane\*\* · #1\n\nundated\n/);
+  assert.match(content, /## 2024-01-01\n\n\*\*Jane\*\* · 12:00 · #2\n\ndated\n/);
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readDesktopExport } from '../archive-import.js';
+
+function writeExport(t, data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-import-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'result.json');
+  fs.writeFileSync(filePath, JSON.stringify(data));
+  return filePath;
+}
+
+function chat(type, id, messages) {
+  return { name: `${type} ${id}`, type, id, messages };
+}
+
+const message = {
+  id: 1,
+  type: 'message',
+  date: '2024-01-01T12:00:00',
+  date_unixtime: '1704110400',
+  from: 'Alice',
+  from_id: 'user42',
+  text: 'hello',
+};
+
+test('readDesktopExport marks chat IDs by peer type', (t) => {
+  const filePath = writeExport(t, {
+    chats: {
+      list: [
+        chat('personal_chat', 42, [message]),
+        chat('private_group', 555, [message]),
+        chat('public_supergroup', 1234567890, [message]),
+        chat('private_channel', 987, [message]),
+      ],
+    },
+  });
+
+  const chats = readDesktopExport(filePath);
+  assert.deepEqual(
+    chats.map(({ peerId, peerType }) => [peerId, peerType]),
+    [['42', 'user'], ['-555', 'chat'], ['-1001234567890', 'channel'], ['-100987', 'channel']],
+  );
+});
+
+test('readDesktopExport marks sender IDs and flattens formatted text', (t) => {
+  const filePath = writeExport(t, chat('public_channel', 77, [
+    { ...message, id: 1, from_id: 'channel77', text: ['see ', { type: 'link', text: 'https://t.me' }] },
+    { ...message, id: 2, from_id: 'chat12' },
+    { ...message, id: 3, from_id: 'user42' },
+    { ...message, id: 4, from_id: 'bogus' },
+    { id: 5, type: 'service', action: 'pin_message', date_unixtime: '1704110400' },
+  ]));
+
+  const [imported] = readDesktopExport(filePath);
+  assert.equal(imported.peerId, '-10077');
+  assert.equal(imported.skipped, 1);
+  assert.deepEqual(imported.messages.map((entry) => entry.from_id), ['-10077', '-12', '42', 'unknown']);
+  assert.deepEqual(imported.messages[0].sender, { id: '-10077', type: 'channel', displayName: 'Alice' });
+  assert.equal(imported.messages[0].text, 'see https://t.me');
+  assert.equal(imported.messages[0].date, 1704110400);
+});
+
+test('readDesktopExport picks a chat by its Desktop or marked ID', (t) => {
+  const filePath = writeExport(t, {
+    chats: { list: [chat('private_supergroup', 100, [message]), chat('private_group', 200, [message])] },
+  });
+
+  assert.equal(readDesktopExport(filePath, { chatId: '100' })[0].peerId, '-100100');
+  assert.equal(readDesktopExport(filePath, { chatId: '-100100' })[0].peerId, '-100100');
+  assert.equal(readDesktopExport(filePath, { chatId: '-200' })[0].peerId, '-200');
+  assert.throws(() => readDesktopExport(filePath, { chatId: '300' }), /Chat 300 is not in/);
+});
+
+test('readDesktopExport does not echo the content of files that are not exports', (t) => {
+  const filePath = writeExport(t, {});
+  fs.writeFileSync(filePath, 'root:x:0:0:root:/root:/bin/bash\n');
+  assert.throws(() => readDesktopExport(filePath), (error) => {
+    assert.equal(error.message, `${filePath} is not a Telegram Desktop JSON export`);
+    return true;
+  });
+
+  fs.writeFileSync(filePath, JSON.stringify({ name: 'secret' }));
+  assert.throws(() => readDesktopExport(filePath), /is not a Telegram Desktop JSON export/);
+});
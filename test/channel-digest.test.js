@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDigest, estimateTokens } from '../channel-digest.js';
+
+function messages(count, text = 'x'.repeat(60)) {
+  return Array.from({ length: count }, (_, index) => ({
+    messageId: index + 1,
+    date: '2024-01-01T12:00:00.000Z',
+    fromId: '42',
+    fromName: 'Alice',
+    text,
+  }));
+}
+
+// Records every sampling request and answers with a recognisable summary of about 80 tokens.
+function recordingSampler() {
+  const calls = [];
+  const sample = async ({ systemPrompt, text }) => {
+    calls.push({ merge: systemPrompt.startsWith('You merge'), text });
+    return `summary ${calls.length}`.padEnd(300, '.');
+  };
+  return { calls, sample };
+}
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('buildDigest summarises a small window in a single request', async () => {
+  const { calls, sample } = recordingSampler();
+  const digest = await buildDigest(messages(3), { sample, title: 'News' });
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].text, /^Chat: News\n\n\[#1\] 2024-01-01 12:00 Alice: x+\n\[#2\]/);
+  assert.equal(digest.levels, 1);
+  assert.match(digest.summary, /^summary 1\./);
+  assert.deepEqual(
+    digest.sections.map(({ fromMessageId, toMessageId, messageCount }) => [fromMessageId, toMessageId, messageCount]),
+    [[1, 3, 3]],
+  );
+});
+
+test('buildDigest chunks by token budget and merges level by level', async () => {
+  const { calls, sample } = recordingSampler();
+  const progress = [];
+  const digest = await buildDigest(messages(40), {
+    sample,
+    chunkTokens: 200,
+    onProgress: (done, total) => progress.push([done, total]),
+  });
+
+  // Each message line is about 24 tokens, so a 200-token chunk holds 8 of them.
+  assert.deepEqual(
+    digest.sections.map(({ fromMessageId, toMessageId, messageCount }) => [fromMessageId, toMessageId, messageCount]),
+    [[1, 8, 8], [9, 16, 8], [17, 24, 8], [25, 32, 8], [33, 40, 8]],
+  );
+  assert.deepEqual(progress, [[1, 5], [2, 5], [3, 5], [4, 5], [5, 5]]);
+  assert.deepEqual(calls.map((call) => call.merge), [false, false, false, false, false, true, true, true, true]);
+
+  // Two summaries fit into one merge request: 5 sections -> 3 -> 2 -> 1.
+  assert.match(calls[5].text, /^Messages #1-#8:\nsummary 1\.+\n\nMessages #9-#16:\nsummary 2\.+$/);
+  assert.match(calls[6].text, /^Messages #17-#24:\nsummary 3\.+\n\nMessages #25-#32:\nsummary 4\.+$/);
+  assert.match(calls[7].text, /^summary 6\.+\n\nsummary 7\.+$/);
+  assert.match(calls[8].text, /^summary 8\.+\n\nMessages #33-#40:\nsummary 5\.+$/);
+  assert.equal(digest.levels, 4);
+  assert.match(digest.summary, /^summary 9\./);
+});
+
+test('buildDigest pairs up summaries that exceed the budget on their own', async () => {
+  const calls = [];
+  const sample = async ({ systemPrompt }) => {
+    calls.push(systemPrompt.startsWith('You merge'));
+    return 'y'.repeat(1000);
+  };
+  const digest = await buildDigest(messages(4, 'z'.repeat(300)), { sample, chunkTokens: 100 });
+
+  assert.equal(digest.sections.length, 4);
+  // 4 chunk summaries -> 2 pair merges -> 1 final merge.
+  assert.deepEqual(calls, [false, false, false, false, true, true, true]);
+  assert.equal(digest.levels, 3);
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { nextCronRun, parseCron } from '../cron-schedule.js';
+
+test('parseCron expands lists, ranges and steps', () => {
+  const schedule = parseCron('0,30 9-17/4 * * 1-5');
+  assert.deepEqual([...schedule.minutes], [0, 30]);
+  assert.deepEqual([...schedule.hours], [9, 13, 17]);
+  assert.deepEqual([...schedule.daysOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(schedule.dayOfMonthRestricted, false);
+  assert.equal(schedule.dayOfWeekRestricted, true);
+});
+
+test('parseCron accepts aliases and maps day 7 to Sunday', () => {
+  assert.deepEqual([...parseCron('@daily').hours], [0]);
+  assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute must be between 0 and 59/);
+  assert.throws(() => parseCron('* * * * mon'), /bad day of week value "mon"/);
+  assert.throws(() => parseCron('* 5-1 * * *'), /empty hour range "5-1"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /minute must be between 1 and 59/);
+});
+
+test('nextCronRun returns the next matching minute strictly after the start', () => {
+  assert.deepEqual(nextCronRun('*/15 * * * *', new Date(2024, 0, 1, 10, 15, 0)), new Date(2024, 0, 1, 10, 30));
+  assert.deepEqual(nextCronRun('*/15 * * * *', new Date(2024, 0, 1, 10, 14, 59)), new Date(2024, 0, 1, 10, 15));
+  assert.deepEqual(nextCronRun('30 9 * * *', new Date(2024, 0, 1, 10, 0)), new Date(2024, 0, 2, 9, 30));
+});
+
+test('nextCronRun rolls over months and years', () => {
+  assert.deepEqual(nextCronRun('0 0 31 * *', new Date(2024, 3, 1)), new Date(2024, 4, 31));
+  assert.deepEqual(nextCronRun('@yearly', new Date(2024, 5, 15)), new Date(2025, 0, 1));
+  assert.deepEqual(nextCronRun('0 12 29 2 *', new Date(2024, 2, 1)), new Date(2028, 1, 29, 12));
+});
+
+test('nextCronRun matches either day field when both are restricted', () => {
+  // 2024-01-03 is a Wednesday; "the 10th or any Friday" fires on Friday the 5th first.
+  assert.deepEqual(nextCronRun('0 8 10 * 5', new Date(2024, 0, 3)), new Date(2024, 0, 5, 8));
+  assert.deepEqual(nextCronRun('0 8 10 * 5', new Date(2024, 0, 5, 9)), new Date(2024, 0, 10, 8));
+});
+
+test('nextCronRun fails for schedules that never fire', () => {
+  assert.throws(() => nextCronRun('0 0 31 2 *', new Date(2024, 0, 1)), /never fires/);
+});
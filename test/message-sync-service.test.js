@@ -0,0 +1,380 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Chat, DeleteMessageUpdate, Message, PeersIndex, User } from '@mtcute/core';
+import MessageSyncService from '../message-sync-service.js';
+import TelegramClient from '../telegram-client.js';
+
+const alice = { _: 'user', id: 42, firstName: 'Alice', accessHash: 7n };
+const news = {
+  _: 'channel',
+  id: 1234567890,
+  title: 'News',
+  username: 'news',
+  broadcast: true,
+  accessHash: 5n,
+  photo: { _: 'chatPhotoEmpty' },
+  date: 0,
+};
+
+function channelMessage(id, text = `message ${id}`) {
+  return new Message({
+    _: 'message',
+    id,
+    peerId: { _: 'peerChannel', channelId: news.id },
+    fromId: { _: 'peerUser', userId: alice.id },
+    date: 1704110400 + id,
+    message: text,
+  }, PeersIndex.from({ users: [alice], chats: [news] }));
+}
+
+function privateMessage(id, text = `message ${id}`) {
+  return new Message({
+    _: 'message',
+    id,
+    peerId: { _: 'peerUser', userId: alice.id },
+    fromId: { _: 'peerUser', userId: alice.id },
+    date: 1704110400 + id,
+    message: text,
+  }, PeersIndex.from({ users: [alice] }));
+}
+
+// Stands in for the mtcute client behind a real TelegramClient: resolves the peers above and serves `history`.
+class FakeMtcuteClient {
+  constructor(history = []) {
+    this.peers = [new Chat(news), new User(alice)];
+    this.history = [...history].sort((a, b) => b.id - a.id);
+  }
+
+  async getMe() {
+    return this.peers[1];
+  }
+
+  async getPeer(ref) {
+    const peer = this.peers.find((candidate) => (typeof ref === 'number'
+      ? candidate.id === ref
+      : candidate.username?.toLowerCase() === ref.replace(/^@/, '').toLowerCase()));
+    if (!peer) {
+      throw new Error(`Unknown peer ${ref}`);
+    }
+    return peer;
+  }
+
+  async resolvePeer(ref) {
+    return (await this.getPeer(ref)).inputPeer;
+  }
+
+  async* iterHistory(peer, { limit, minId = 0, offset }) {
+    yield* this.history
+      .filter((message) => message.chat.id === peer.id)
+      .filter((message) => message.id > minId && (!offset?.id || message.id < offset.id))
+      .slice(0, limit);
+  }
+}
+
+function createService(t, { history, ...options } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-sync-'));
+  const telegramClient = new TelegramClient(1, 'hash', '+10000000000', path.join(dir, 'session.json'));
+  telegramClient.client = new FakeMtcuteClient(history);
+  const service = new MessageSyncService(telegramClient, {
+    dbPath: path.join(dir, 'messages.db'),
+    rateLimits: { ratePerSecond: 1000, burst: 1000 },
+    ...options,
+  });
+  t.after(async () => {
+    await service.shutdown();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { service, telegramClient };
+}
+
+function emitDeletion(telegramClient, raw) {
+  telegramClient.updateEmitter.emit('update', { name: 'delete_message', data: new DeleteMessageUpdate(raw) });
+}
+
+function archive(service, channelId, messageIds) {
+  service.insertMessagesTx(messageIds.map((id) => service._buildMessageRecord(channelId, {
+    id,
+    date: 1704110400 + id,
+    from_id: '42',
+    text: `message ${id}`,
+  })));
+}
+
+function deletedAt(service, channelId) {
+  return Object.fromEntries(service.db.prepare(`
+    SELECT message_id, deleted_at FROM messages WHERE channel_id = ? ORDER BY message_id
+  `).all(channelId).map((row) => [row.message_id, row.deleted_at]));
+}
+
+test('live channel deletions mark the archived messages as deleted', (t) => {
+  const { service, telegramClient } = createService(t);
+  service.addJob('-1001234567890');
+  service.addJob('-1009876543210');
+  archive(service, '-1001234567890', [1, 2, 3]);
+  archive(service, '-1009876543210', [1, 2, 3]);
+  service.startRealtimeSync();
+
+  const changes = [];
+  service.onArchiveChange((event) => changes.push(event.channelId));
+  emitDeletion(telegramClient, {
+    _: 'updateDeleteChannelMessages',
+    channelId: 1234567890,
+    messages: [1, 3],
+    pts: 10,
+    ptsCount: 2,
+  });
+
+  const deleted = deletedAt(service, '-1001234567890');
+  assert.ok(deleted[1]);
+  assert.equal(deleted[2], null);
+  assert.ok(deleted[3]);
+  assert.deepEqual(Object.values(deletedAt(service, '-1009876543210')), [null, null, null]);
+  assert.deepEqual(changes, ['-1001234567890']);
+});
+
+test('sync passes store the resolved peer of a username job', async (t) => {
+  const { service, telegramClient } = createService(t, { history: [1, 2, 3].map((id) => channelMessage(id)) });
+  service.addJob('@news');
+  service.startRealtimeSync();
+  await service.processQueue();
+
+  const job = service.db.prepare('SELECT peer_id, peer_title, peer_type FROM jobs WHERE channel_id = ?').get('@news');
+  assert.deepEqual({ ...job }, { peer_id: '-1001234567890', peer_title: 'News', peer_type: 'channel' });
+  assert.equal(service.db.prepare('SELECT COUNT(*) AS cnt FROM messages WHERE channel_id = ?').get('@news').cnt, 3);
+
+  emitDeletion(telegramClient, {
+    _: 'updateDeleteChannelMessages',
+    channelId: news.id,
+    messages: [2],
+    pts: 10,
+    ptsCount: 1,
+  });
+  const deleted = deletedAt(service, '@news');
+  assert.equal(deleted[1], null);
+  assert.ok(deleted[2]);
+});
+
+test('live deletions without a channel only touch private chats and basic groups', async (t) => {
+  const history = [...[1, 2].map((id) => channelMessage(id)), ...[1, 2].map((id) => privateMessage(id))];
+  const { service, telegramClient } = createService(t, { history });
+  service.addJob('@news');
+  service.addJob('42');
+  service.startRealtimeSync();
+  await service.processQueue();
+  // Jobs synced before peers were resolved properly still claim to be a 'chat' keyed by their username.
+  service.addJob('@legacy');
+  service.db.prepare(`UPDATE jobs SET peer_id = '@legacy', peer_type = 'chat' WHERE channel_id = '@legacy'`).run();
+  archive(service, '@legacy', [1, 2]);
+
+  emitDeletion(telegramClient, { _: 'updateDeleteMessages', messages: [1], pts: 10, ptsCount: 1 });
+
+  assert.equal(service.db.prepare('SELECT peer_type FROM jobs WHERE channel_id = ?').get('42').peer_type, 'user');
+  const deleted = deletedAt(service, '42');
+  assert.ok(deleted[1]);
+  assert.equal(deleted[2], null);
+  assert.deepEqual(Object.values(deletedAt(service, '@news')), [null, null]);
+  assert.deepEqual(Object.values(deletedAt(service, '@legacy')), [null, null]);
+});
+
+test('archive search filters by the resolved peer type and shows peer titles', async (t) => {
+  const history = [channelMessage(1, 'launch update'), privateMessage(1, 'launch plans')];
+  const { service } = createService(t, { history });
+  service.addJob('@news');
+  service.addJob('42');
+  await service.processQueue();
+
+  const search = (peerTypes) => service.searchArchive({ query: 'launch', peerTypes })
+    .map(({ channelId, peerTitle, peerType }) => [channelId, peerTitle, peerType]);
+  assert.deepEqual(search(['channel']), [['@news', 'News', 'channel']]);
+  assert.deepEqual(search(['user']), [['42', 'Alice', 'user']]);
+  assert.deepEqual(search(['chat']), []);
+});
+
+test('media downloads are recorded on jobs added by username', async (t) => {
+  const { service } = createService(t, { history: [channelMessage(1), channelMessage(2)] });
+  service.addJob('@news');
+  await service.processQueue();
+  // Not synced yet, so only the channel's username ties it to the download.
+  service.addJob('@archive');
+  archive(service, '@archive', [1]);
+
+  assert.equal(service.recordMediaDownload('-1001234567890', 2, { path: '/tmp/2.jpg', sha256: 'abc' }), true);
+  assert.equal(service.recordMediaDownload('-1005555555555', 1, { path: '/tmp/1.jpg', sha256: 'def', username: 'Archive' }), true);
+  assert.equal(service.recordMediaDownload('-1007777777777', 1, { path: '/tmp/1.jpg', sha256: 'def' }), false);
+
+  const media = (channelId) => service.db.prepare(`
+    SELECT message_id, media_local_path, media_sha256 FROM messages WHERE channel_id = ? AND media_sha256 IS NOT NULL
+  `).all(channelId).map((row) => ({ ...row }));
+  assert.deepEqual(media('@news'), [{ message_id: 2, media_local_path: '/tmp/2.jpg', media_sha256: 'abc' }]);
+  assert.deepEqual(media('@archive'), [{ message_id: 1, media_local_path: '/tmp/1.jpg', media_sha256: 'def' }]);
+});
+
+test('peer lookups are charged to the method that resolves the reference', async (t) => {
+  const methods = [];
+  const rateLimiter = { acquire: async (method) => methods.push(method), penalize() {} };
+  const { service } = createService(t, { history: [channelMessage(1)], rateLimiter });
+  service.addJob('@news');
+  await service.processQueue();
+  service.addJob('-1001234567890');
+  await service.processQueue();
+
+  assert.deepEqual(methods.filter((method) => method !== 'messages.getHistory'), [
+    'contacts.resolveUsername',
+    'channels.getChannels',
+  ]);
+});
+
+test('re-archiving a message fills in missing reply and forward details', (t) => {
+  const { service } = createService(t);
+  const message = { id: 7, date: 1704110400, from_id: '42', text: 'hello' };
+  const row = () => service.db.prepare(`
+    SELECT reply_to_message_id, thread_id, forward_from_name, forward_date FROM messages WHERE channel_id = ? AND message_id = 7
+  `).get('-1001234567890');
+
+  service.insertMessageStmt.run(service._buildMessageRecord('-1001234567890', message));
+  service.insertMessageStmt.run(service._buildMessageRecord('-1001234567890', {
+    ...message,
+    reply_to_message_id: 5,
+    thread_id: 3,
+    forward: { fromName: 'Bob', date: 1704000000 },
+  }));
+  assert.deepEqual(row(), { reply_to_message_id: 5, thread_id: 3, forward_from_name: 'Bob', forward_date: 1704000000 });
+
+  // A copy without the details (e.g. an older serializer) does not wipe them again.
+  service.insertMessageStmt.run(service._buildMessageRecord('-1001234567890', { ...message, text: 'hello!' }));
+  assert.deepEqual(row(), { reply_to_message_id: 5, thread_id: 3, forward_from_name: 'Bob', forward_date: 1704000000 });
+});
+
+test('cancelling, pausing and deleting a pending job report a final progress event', (t) => {
+  const { service } = createService(t);
+  const events = [];
+  service.onProgress((event) => events.push(event));
+
+  service.addJob('-1001234567890');
+  service.cancelJob('-1001234567890');
+  service.addJob('-1001234567890');
+  service.pauseJob('-1001234567890');
+  service.addJob('-1001234567890');
+  service.deleteJob('-1001234567890');
+
+  assert.deepEqual(events.map(({ status, done }) => [status, done]), [
+    ['cancelled', true],
+    ['paused', true],
+    ['deleted', true],
+  ]);
+  assert.equal(events[2].deleted, true);
+  assert.equal(events[2].channelId, '-1001234567890');
+});
+
+test('import paths are confined to the imports directory', (t) => {
+  const { service } = createService(t);
+  const importsDir = path.join(path.dirname(service.dbPath), 'imports');
+  const exportPath = path.join(importsDir, 'ChatExport', 'result.json');
+  fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+  fs.writeFileSync(exportPath, '{}');
+  fs.symlinkSync(path.dirname(service.dbPath), path.join(importsDir, 'escape'));
+
+  assert.equal(service.resolveImportPath('ChatExport/result.json'), fs.realpathSync(exportPath));
+  assert.equal(service.resolveImportPath(exportPath), fs.realpathSync(exportPath));
+  assert.throws(() => service.resolveImportPath('.'), /Imports are limited to files in/);
+  assert.throws(() => service.resolveImportPath('../messages.db'), /Imports are limited to files in/);
+  assert.throws(() => service.resolveImportPath('/etc/passwd'), /Imports are limited to files in/);
+  assert.throws(() => service.resolveImportPath('escape/messages.db'), /Imports are limited to files in/);
+  assert.throws(() => service.resolveImportPath('missing.json'), /missing.json was not found in/);
+});
+
+test('watch rules record backfilled history as historical hits without notifying', async (t) => {
+  const history = [1, 2, 3, 4, 5].map((id) => channelMessage(id, `alert ${id}`));
+  const { service, telegramClient } = createService(t, { history, batchSize: 2 });
+  const notified = [];
+  service.watchRules.onHit((hit) => notified.push(hit.messageId));
+  service.watchRules.addRule({ pattern: 'alert' });
+
+  service.addJob('-1001234567890');
+  await service.processQueue();
+
+  const hits = service.watchRules.listHits().map(({ messageId, historical }) => [messageId, historical]);
+  assert.deepEqual(hits.sort((a, b) => a[0] - b[0]), [[1, true], [2, true], [3, true], [4, true], [5, true]]);
+  assert.deepEqual(notified, []);
+
+  // The catch-up pass after a restart only fills the gap; later passes are live.
+  telegramClient.client.history.unshift(channelMessage(6, 'alert 6'));
+  service.startRealtimeSync();
+  await service.processQueue();
+  telegramClient.client.history.unshift(channelMessage(7, 'alert 7'));
+  service.db.prepare(`UPDATE jobs SET status = 'pending'`).run();
+  await service.processQueue();
+
+  const later = service.watchRules.listHits().filter(({ messageId }) => messageId > 5);
+  assert.deepEqual(later.map(({ messageId, historical }) => [messageId, historical]).sort((a, b) => a[0] - b[0]), [[6, true], [7, false]]);
+  assert.deepEqual(notified, [7]);
+});
+
+test('watch rules scoped to a marked ID match jobs added by username', async (t) => {
+  const { service, telegramClient } = createService(t, { history: [channelMessage(1, 'alert 1')] });
+  const notified = [];
+  service.watchRules.onHit((hit) => notified.push(hit.messageId));
+  service.watchRules.addRule({ pattern: 'alert', channelIds: ['-1001234567890'] });
+
+  service.addJob('@news');
+  await service.processQueue();
+  telegramClient.client.history.unshift(channelMessage(2, 'alert 2'));
+  service.db.prepare(`UPDATE jobs SET status = 'pending'`).run();
+  await service.processQueue();
+
+  const hits = service.watchRules.listHits().map(({ messageId, historical }) => [messageId, historical]);
+  assert.deepEqual(hits.sort((a, b) => a[0] - b[0]), [[1, true], [2, false]]);
+  assert.deepEqual(notified, [2]);
+});
+
+function writeImport(service, desktopExport) {
+  const importsDir = path.join(path.dirname(service.dbPath), 'imports');
+  fs.mkdirSync(importsDir, { recursive: true });
+  fs.writeFileSync(path.join(importsDir, 'result.json'), JSON.stringify(desktopExport));
+  return service.resolveImportPath('result.json');
+}
+
+const newsExport = {
+  name: 'News',
+  type: 'public_channel',
+  id: 1234567890,
+  messages: [
+    { id: 1, type: 'message', date_unixtime: '1704110400', from_id: 'user42', text: 'red alert' },
+    { id: 2, type: 'message', date_unixtime: '1704110460', from_id: 'user42', text: 'all clear' },
+  ],
+};
+
+test('watch rules record imported messages as historical hits without notifying', async (t) => {
+  const { service } = createService(t);
+  const notified = [];
+  service.watchRules.onHit((hit) => notified.push(hit));
+  service.watchRules.addRule({ pattern: 'alert', channelIds: ['-1001234567890'] });
+
+  const { chats } = await service.importDesktopExport(writeImport(service, newsExport));
+  assert.equal(chats[0].importedMessages, 2);
+  assert.deepEqual(
+    service.watchRules.listHits().map(({ channelId, messageId, historical }) => [channelId, messageId, historical]),
+    [['-1001234567890', 1, true]],
+  );
+  assert.deepEqual(notified, []);
+});
+
+test('imports land in the existing job of a channel added by username', async (t) => {
+  const { service } = createService(t);
+  service.addJob('@news');
+
+  const { chats } = await service.importDesktopExport(writeImport(service, newsExport));
+  assert.equal(chats[0].channelId, '@news');
+  assert.equal(chats[0].importedMessages, 2);
+
+  const jobs = service.db.prepare('SELECT channel_id, peer_id FROM jobs').all().map((row) => ({ ...row }));
+  assert.deepEqual(jobs, [{ channel_id: '@news', peer_id: '-1001234567890' }]);
+  assert.equal(service.db.prepare(`SELECT COUNT(*) AS cnt FROM messages WHERE channel_id = '-1001234567890'`).get().cnt, 0);
+
+  // Importing the same export again only finds archived messages.
+  const again = await service.importDesktopExport(writeImport(service, newsExport));
+  assert.deepEqual([again.chats[0].channelId, again.chats[0].alreadyArchived], ['@news', 2]);
+});
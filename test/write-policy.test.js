@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import WritePolicy from '../write-policy.js';
+
+const PEERS = {
+  mygroup: '-1001234567890',
+  '-1001234567890': '-1001234567890',
+  news: '-1009876543210',
+  '-1009876543210': '-1009876543210',
+};
+
+function createPolicy(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telegram-policy-'));
+  const policy = new WritePolicy({ dbPath: path.join(dir, 'audit.db'), ...options });
+  t.after(() => {
+    policy.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return policy;
+}
+
+async function resolvePeerId(chatId) {
+  const peerId = PEERS[String(chatId).replace(/^@/, '').toLowerCase()];
+  if (!peerId) {
+    throw new Error(`Peer ${chatId} not found`);
+  }
+  return peerId;
+}
+
+function write(policy, chatId) {
+  return policy.run(
+    { sessionId: 's1', action: 'sendMessage', chatIds: [chatId], payload: { chatId }, resolvePeerId },
+    async () => 'sent',
+  );
+}
+
+test('denylisted usernames block writes by marked ID and the other way round', async (t) => {
+  const byUsername = createPolicy(t, { denylist: '@MyGroup' });
+  await assert.rejects(write(byUsername, '-1001234567890'), /Chat -1001234567890 is on the write denylist/);
+  assert.equal(await write(byUsername, 'news'), 'sent');
+
+  const byId = createPolicy(t, { denylist: '-1001234567890' });
+  await assert.rejects(write(byId, '@mygroup'), /is on the write denylist/);
+});
+
+test('allowlist entries are stored as marked peer IDs', async (t) => {
+  const policy = createPolicy(t, { allowlist: 'mygroup' });
+  assert.equal(await write(policy, '-1001234567890'), 'sent');
+  await assert.rejects(write(policy, '@news'), /Chat -1009876543210 is not on the write allowlist/);
+  assert.deepEqual(policy.describe().allowlist, ['-1001234567890']);
+});
+
+test('unresolvable chats are blocked while a list is set', async (t) => {
+  const policy = createPolicy(t, { denylist: 'news' });
+  await assert.rejects(write(policy, '@missing'), /Chat @missing could not be resolved: Peer @missing not found/);
+  assert.equal(policy.listAudit()[0].decision, 'blocked');
+});
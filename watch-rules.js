@@ -0,0 +1,258 @@
+import { normalizeChannelId } from './telegram-client.js';
+
+export const MATCH_MODES = ['keyword', 'regex'];
+
+function normalizeChatKey(chatId) {
+  return String(normalizeChannelId(chatId)).replace(/^@/, '').toLowerCase();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compilePattern(pattern, mode, caseInsensitive) {
+  const source = mode === 'regex' ? pattern : escapeRegex(pattern);
+  try {
+    return new RegExp(source, caseInsensitive ? 'i' : '');
+  } catch (error) {
+    throw new Error(`Invalid pattern: ${error.message}`);
+  }
+}
+
+function parseList(json) {
+  return json ? JSON.parse(json) : null;
+}
+
+const HIT_QUERY = `
+  SELECT h.*, r.name AS rule_name, u.display_name AS from_name
+  FROM watch_hits h
+  LEFT JOIN watch_rules r ON r.id = h.rule_id
+  LEFT JOIN users u ON u.id = h.from_id
+`;
+
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    pattern: row.pattern,
+    mode: row.mode,
+    caseInsensitive: Boolean(row.case_insensitive),
+    channelIds: parseList(row.channel_ids),
+    fromIds: parseList(row.from_ids),
+    hitCount: row.hit_count ?? 0,
+    createdAt: row.created_at,
+  };
+}
+
+function formatHit(row) {
+  return {
+    id: row.id,
+    ruleId: row.rule_id,
+    ruleName: row.rule_name ?? null,
+    channelId: row.channel_id,
+    messageId: row.message_id,
+    date: row.date ? new Date(row.date * 1000).toISOString() : null,
+    fromId: row.from_id,
+    fromName: row.from_name ?? null,
+    text: row.text,
+    match: row.match_text,
+    historical: Boolean(row.historical),
+    createdAt: row.created_at,
+  };
+}
+
+// Persistent keyword/regex rules evaluated against messages as they are archived. Rules and their
+// hits live next to the messages in the account's archive database.
+export default class WatchRules {
+  constructor(db) {
+    this.db = db;
+    this.hitListeners = new Set();
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS watch_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT,
+        pattern TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'keyword',
+        case_insensitive INTEGER NOT NULL DEFAULT 1,
+        channel_ids TEXT,
+        from_ids TEXT,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS watch_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id INTEGER NOT NULL,
+        date INTEGER,
+        from_id TEXT,
+        text TEXT,
+        match_text TEXT,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(rule_id, channel_id, message_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_watch_hits_channel
+        ON watch_hits (channel_id, message_id);
+    `);
+
+    const hitColumns = this.db.prepare('PRAGMA table_info(watch_hits)').all();
+    if (!hitColumns.some((column) => column.name === 'historical')) {
+      this.db.exec('ALTER TABLE watch_hits ADD COLUMN historical INTEGER NOT NULL DEFAULT 0');
+    }
+
+    this.insertHitStmt = this.db.prepare(`
+      INSERT INTO watch_hits (rule_id, channel_id, message_id, date, from_id, text, match_text, historical)
+      VALUES (@ruleId, @channelId, @messageId, @date, @fromId, @text, @match, @historical)
+      ON CONFLICT(rule_id, channel_id, message_id) DO NOTHING
+    `);
+
+    this._loadRules();
+  }
+
+  // Notified with each new live hit (the same shape as listHits entries); historical hits are only recorded.
+  onHit(listener) {
+    this.hitListeners.add(listener);
+    return () => {
+      this.hitListeners.delete(listener);
+    };
+  }
+
+  addRule({ name, pattern, mode = 'keyword', caseInsensitive = true, channelIds, fromIds }) {
+    if (!MATCH_MODES.includes(mode)) {
+      throw new Error(`Unknown match mode "${mode}" (expected ${MATCH_MODES.join(' or ')})`);
+    }
+    compilePattern(pattern, mode, caseInsensitive);
+
+    const channels = channelIds?.length ? channelIds.map((channelId) => String(normalizeChannelId(channelId))) : null;
+    const senders = fromIds?.length ? fromIds.map(String) : null;
+    const row = this.db.prepare(`
+      INSERT INTO watch_rules (name, pattern, mode, case_insensitive, channel_ids, from_ids)
+      VALUES (@name, @pattern, @mode, @caseInsensitive, @channelIds, @fromIds)
+      RETURNING *
+    `).get({
+      name: name ?? null,
+      pattern,
+      mode,
+      caseInsensitive: caseInsensitive ? 1 : 0,
+      channelIds: channels ? JSON.stringify(channels) : null,
+      fromIds: senders ? JSON.stringify(senders) : null,
+    });
+
+    this._loadRules();
+    return formatRule(row);
+  }
+
+  listRules() {
+    return this.db.prepare(`
+      SELECT r.*, (SELECT COUNT(*) FROM watch_hits h WHERE h.rule_id = r.id) AS hit_count
+      FROM watch_rules r
+      ORDER BY r.id
+    `).all().map(formatRule);
+  }
+
+  deleteRule(id) {
+    const removeRule = this.db.transaction(() => {
+      const { changes } = this.db.prepare('DELETE FROM watch_rules WHERE id = ?').run(id);
+      if (!changes) {
+        throw new Error(`No watch rule with id ${id}`);
+      }
+      return this.db.prepare('DELETE FROM watch_hits WHERE rule_id = ?').run(id).changes;
+    });
+
+    const deletedHits = removeRule();
+    this._loadRules();
+    return { ruleId: id, deletedRule: true, deletedHits };
+  }
+
+  listHits({ ruleId, channelId, limit = 50, beforeId } = {}) {
+    return this.db.prepare(`
+      ${HIT_QUERY}
+      WHERE (@ruleId IS NULL OR h.rule_id = @ruleId)
+        AND (@channelId IS NULL OR h.channel_id = @channelId)
+        AND (@beforeId IS NULL OR h.id < @beforeId)
+      ORDER BY h.id DESC
+      LIMIT @limit
+    `).all({
+      ruleId: ruleId ?? null,
+      channelId: channelId === undefined || channelId === null ? null : String(normalizeChannelId(channelId)),
+      beforeId: beforeId ?? null,
+      limit,
+    }).map(formatHit);
+  }
+
+  /**
+   * Matches freshly archived message records (as built by MessageSyncService#_buildMessageRecord)
+   * of one sync job against every rule, records new hits and notifies hit listeners. Hits in
+   * `historical` records (backfilled or imported history) are recorded without notifying anyone.
+   */
+  evaluate(job, records, { historical = false } = {}) {
+    if (!this.rules.length || !records.length) {
+      return [];
+    }
+
+    const chatKeys = new Set([job.channel_id, job.peer_id].filter(Boolean).map(normalizeChatKey));
+    const rules = this.rules.filter((rule) => !rule.channelKeys || rule.channelKeys.some((key) => chatKeys.has(key)));
+    const hits = [];
+    for (const record of records) {
+      if (!record.text) {
+        continue;
+      }
+      for (const rule of rules) {
+        if (rule.fromIds && !rule.fromIds.has(String(record.from_id))) {
+          continue;
+        }
+        const match = rule.regex.exec(record.text);
+        if (!match) {
+          continue;
+        }
+        const { changes, lastInsertRowid } = this.insertHitStmt.run({
+          ruleId: rule.id,
+          channelId: record.channel_id,
+          messageId: record.message_id,
+          date: record.date,
+          fromId: record.from_id,
+          text: record.text,
+          match: match[0],
+          historical: historical ? 1 : 0,
+        });
+        if (changes) {
+          hits.push(Number(lastInsertRowid));
+        }
+      }
+    }
+
+    if (hits.length && !historical && this.hitListeners.size) {
+      const rows = this.db.prepare(`
+        ${HIT_QUERY}
+        WHERE h.id IN (${hits.map(() => '?').join(', ')})
+        ORDER BY h.id
+      `).all(...hits);
+      for (const row of rows) {
+        const hit = { ...formatHit(row), peerTitle: job.peer_title ?? null };
+        for (const listener of this.hitListeners) {
+          try {
+            listener(hit);
+          } catch (error) {
+            console.warn('[watch] hit listener failed:', error?.message || error);
+          }
+        }
+      }
+    }
+    return hits;
+  }
+
+  _loadRules() {
+    this.rules = this.db.prepare('SELECT * FROM watch_rules ORDER BY id').all().map((row) => {
+      const channelIds = parseList(row.channel_ids);
+      const fromIds = parseList(row.from_ids);
+      return {
+        id: row.id,
+        regex: compilePattern(row.pattern, row.mode, Boolean(row.case_insensitive)),
+        channelKeys: channelIds ? channelIds.map(normalizeChatKey) : null,
+        fromIds: fromIds ? new Set(fromIds) : null,
+      };
+    });
+  }
+}
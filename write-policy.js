@@ -0,0 +1,233 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { normalizeChannelId } from './telegram-client.js';
+
+const DEFAULT_DB_PATH = './data/audit.db';
+const DEFAULT_RATE_WINDOW_MS = 60_000;
+const DECISION = {
+  ALLOWED: 'allowed',
+  BLOCKED: 'blocked',
+  DRY_RUN: 'dry_run',
+  FAILED: 'failed',
+};
+
+function normalizeChatKey(chatId) {
+  const normalized = String(normalizeChannelId(chatId));
+  return normalized.replace(/^@/, '').toLowerCase();
+}
+
+function parseChatList(value) {
+  if (!value) {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+  return entries
+    .map((entry) => String(entry).trim())
+    .filter(Boolean)
+    .map(normalizeChatKey);
+}
+
+export default class WritePolicy {
+  constructor(options = {}) {
+    this.dbPath = path.resolve(options.dbPath || DEFAULT_DB_PATH);
+    this.readOnly = Boolean(options.readOnly);
+    this.dryRun = Boolean(options.dryRun);
+    this.allowlist = new Set(parseChatList(options.allowlist));
+    this.denylist = new Set(parseChatList(options.denylist));
+    this.peerIds = new Map();
+    this.rateLimit = options.rateLimit && options.rateLimit > 0 ? Number(options.rateLimit) : 0;
+    this.rateWindowMs = options.rateWindowMs || DEFAULT_RATE_WINDOW_MS;
+    this.sessionActions = new Map();
+
+    this._initDatabase();
+  }
+
+  _initDatabase() {
+    const dir = path.dirname(this.dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS write_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT,
+        action TEXT NOT NULL,
+        chat_id TEXT,
+        decision TEXT NOT NULL,
+        reason TEXT,
+        payload_json TEXT,
+        created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const columns = this.db.prepare('PRAGMA table_info(write_audit)').all();
+    if (!columns.some((column) => column.name === 'account')) {
+      this.db.exec('ALTER TABLE write_audit ADD COLUMN account TEXT');
+    }
+
+    this.insertAuditStmt = this.db.prepare(`
+      INSERT INTO write_audit (session_id, account, action, chat_id, decision, reason, payload_json)
+      VALUES (@session_id, @account, @action, @chat_id, @decision, @reason, @payload_json)
+    `);
+  }
+
+  describe() {
+    return {
+      readOnly: this.readOnly,
+      dryRun: this.dryRun,
+      allowlist: Array.from(this.allowlist),
+      denylist: Array.from(this.denylist),
+      rateLimit: this.rateLimit || null,
+      rateWindowSeconds: this.rateLimit ? Math.round(this.rateWindowMs / 1000) : null,
+    };
+  }
+
+  evaluate({ sessionId, chatIds = [] }) {
+    if (this.readOnly) {
+      return { allowed: false, reason: 'Server is in read-only mode' };
+    }
+
+    for (const chatId of chatIds) {
+      const key = normalizeChatKey(chatId);
+      if (this.denylist.has(key)) {
+        return { allowed: false, reason: `Chat ${chatId} is on the write denylist` };
+      }
+      if (this.allowlist.size && !this.allowlist.has(key)) {
+        return { allowed: false, reason: `Chat ${chatId} is not on the write allowlist` };
+      }
+    }
+
+    if (this.rateLimit) {
+      const recent = this._recentActions(sessionId);
+      if (recent.length >= this.rateLimit) {
+        const retryInSeconds = Math.ceil((recent[0] + this.rateWindowMs - Date.now()) / 1000);
+        return {
+          allowed: false,
+          reason: `Rate limit of ${this.rateLimit} writes per ${Math.round(this.rateWindowMs / 1000)}s reached for this session; retry in ${retryInSeconds}s`,
+        };
+      }
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  async run({ sessionId, account, action, chatIds = [], payload, dryRun = false, resolvePeerId }, execute) {
+    const decision = await this._decide({ sessionId, chatIds, resolvePeerId });
+    const audit = {
+      session_id: sessionId ?? null,
+      account: account ?? null,
+      action,
+      chat_id: chatIds.map(String).join(',') || null,
+      payload_json: JSON.stringify(payload ?? null),
+    };
+
+    if (!decision.allowed) {
+      this._audit({ ...audit, decision: DECISION.BLOCKED, reason: decision.reason });
+      throw new Error(`Blocked by write policy: ${decision.reason}`);
+    }
+
+    if (dryRun || this.dryRun) {
+      this._audit({ ...audit, decision: DECISION.DRY_RUN, reason: null });
+      return { dryRun: true, action, wouldSend: payload };
+    }
+
+    this._recentActions(sessionId).push(Date.now());
+
+    try {
+      const result = await execute();
+      this._audit({ ...audit, decision: DECISION.ALLOWED, reason: null });
+      return result;
+    } catch (error) {
+      this._audit({ ...audit, decision: DECISION.FAILED, reason: error?.message ?? String(error) });
+      throw error;
+    }
+  }
+
+  listAudit(limit = 50, { account } = {}) {
+    return this.db.prepare(`
+      SELECT id, session_id, account, action, chat_id, decision, reason, payload_json, created_at
+      FROM write_audit
+      WHERE @account IS NULL OR account = @account
+      ORDER BY id DESC
+      LIMIT @limit
+    `).all({ account: account ?? null, limit });
+  }
+
+  forgetSession(sessionId) {
+    this.sessionActions.delete(sessionId);
+  }
+
+  close() {
+    if (this.db && this.db.open) {
+      this.db.close();
+    }
+  }
+
+  // With a resolver (chat -> marked peer ID), list entries and chats are compared as peer IDs, so
+  // @name and -100… spellings of the same chat cannot bypass each other.
+  async _decide({ sessionId, chatIds, resolvePeerId }) {
+    if (this.readOnly || !resolvePeerId || (!this.allowlist.size && !this.denylist.size)) {
+      return this.evaluate({ sessionId, chatIds });
+    }
+
+    await this._resolveLists(resolvePeerId);
+    const peerIds = [];
+    for (const chatId of chatIds) {
+      try {
+        peerIds.push(await this._resolvePeerKey(chatId, resolvePeerId));
+      } catch (error) {
+        return { allowed: false, reason: `Chat ${chatId} could not be resolved: ${error?.message ?? error}` };
+      }
+    }
+    return this.evaluate({ sessionId, chatIds: peerIds });
+  }
+
+  async _resolveLists(resolvePeerId) {
+    for (const list of [this.allowlist, this.denylist]) {
+      for (const entry of [...list]) {
+        if (this.peerIds.get(entry) === entry) {
+          continue;
+        }
+        try {
+          const peerId = await this._resolvePeerKey(entry, resolvePeerId);
+          list.delete(entry);
+          list.add(peerId);
+        } catch (error) {
+          // Kept as written and retried on the next write.
+          console.warn(`[policy] could not resolve write list entry ${entry}: ${error?.message ?? error}`);
+        }
+      }
+    }
+  }
+
+  async _resolvePeerKey(chatId, resolvePeerId) {
+    const key = normalizeChatKey(chatId);
+    if (!this.peerIds.has(key)) {
+      const peerId = normalizeChatKey(await resolvePeerId(chatId));
+      this.peerIds.set(key, peerId);
+      this.peerIds.set(peerId, peerId);
+    }
+    return this.peerIds.get(key);
+  }
+
+  _recentActions(sessionId) {
+    const key = sessionId ?? 'default';
+    const cutoff = Date.now() - this.rateWindowMs;
+    const recent = (this.sessionActions.get(key) ?? []).filter((timestamp) => timestamp > cutoff);
+    this.sessionActions.set(key, recent);
+    return recent;
+  }
+
+  _audit(record) {
+    try {
+      this.insertAuditStmt.run(record);
+    } catch (error) {
+      console.error(`[policy] failed to write audit record: ${error?.message ?? error}`);
+    }
+  }
+}